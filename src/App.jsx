@@ -1,17 +1,47 @@
 import React, { useState, useEffect, useReducer, useMemo, useRef } from 'react';
+import {
+  ALL_NOTES, WHOLE_NOTES, ROOT_NOTES, SCALE_GROUPS, CHORDS, PROGRESSIONS, INTERVALS, NOTE_TO_INDEX,
+  parsePitch, pitchToMidi, midiToPitch, toPitchClass, includesPitchClass, spellPitchClass, getKeyPreference, spellForContext,
+  getNotesInScale, parseScalePattern, formatScaleSteps, getScaleOptions, resolveScale, listScalePositions,
+  parseTypedNote, getChordSymbol, getChordTones, INSTRUMENTS, MIN_STRINGS, MAX_STRINGS, generateFretboardLayout, getFretKey,
+  computeStringFretMidi, getTuningOptions, resolveTuning, getFretOptions, clampFretCount, fitFretRange, getFretMarker, describeFret,
+  GAME_MODE_REGISTRY, getGameMode, SCALE_RUN_PATTERNS, EAR_DIFFICULTIES, getReferencePitch, RHYTHM_BPM_OPTIONS, RHYTHM_BEAT_OPTIONS, RHYTHM_RAMP_EVERY, RHYTHM_RAMP_STEP, summarizeRhythmResults, appendGuessRecords,
+  median, getFretRegionLabel, summarizeGuesses, computeFretHeatmap, computeRecallWeights, computeFinalScore, initialState, gameReducer,
+  REPLAY_FORMAT, REPLAY_VERSION, UNRECORDED_ACTIONS, getReplayDuration, getReplayState, parseReplay, detectPitch, createNoteOnsetTracker,
+  matchPitchToFret, parseMidiMessage, mapMidiGuitarNote, moveFretFocus, encodeDrillConfig, decodeDrillConfig, withSharedTuning, withSharedScale, getDateKey, getDailyChallenge,
+  addDailyResult, computeDailyStreaks,
+} from './engine/index.js';
+import { getDegreeColor, getHeatColor, computeFretColumns } from './display.js';
+import { REMOTE_SAMPLE_ROOT, LOCAL_SAMPLE_ROOT, SAMPLE_LOAD_TIMEOUT_MS, SAMPLE_PACKS, SAMPLE_SOURCE_LABELS } from './samplePacks.js';
 
 // --- Audio Engine ---
 let ToneLib = null;
-// Primary: free, CC-licensed clean electric guitar samples (GitHub Pages)
-const REMOTE_SAMPLE_BASE = 'https://nbrosowsky.github.io/tonejs-instruments/samples/guitar-electric/';
-// Optional: local fallback path if you want to vendor files into your app
-const LOCAL_SAMPLE_BASE = '/samples/clean-electric/';
-// Minimal keymap across the range; Tone.Sampler will pitch-shift in-between
-const SAMPLE_URLS = { E2: 'E2.mp3', A2: 'A2.mp3', D3: 'D3.mp3', G3: 'G3.mp3', B3: 'B3.mp3', E4: 'E4.mp3' };
+// Tone.Sampler reports loading through callbacks; `sampler.loaded` is only a flag
+const loadSampler = (urls, baseUrl) => new Promise((resolve, reject) => {
+  let sampler = null;
+  const timeout = setTimeout(() => reject(new Error(`Timed out loading ${baseUrl}`)), SAMPLE_LOAD_TIMEOUT_MS);
+  sampler = new ToneLib.Sampler({
+    urls,
+    baseUrl,
+    attack: 0.002,
+    release: 1.2,
+    curve: 'exponential',
+    onload: () => { clearTimeout(timeout); resolve(sampler); },
+    onerror: (err) => { clearTimeout(timeout); sampler.dispose(); reject(err); },
+  });
+});
+
 const audioEngine = {
   synth: null,
   isInitialized: false,
+  packName: 'Guitar',
+  loadedPack: null,
+  source: null,
+  onSourceChange: null,
+  _loadId: 0,
   _queue: [],
+  // When (performance.now() ms) the last prompt or jingle stops sounding, so the mic doesn't answer with it
+  promptEndsAt: 0,
   async init() {
     if (this.isInitialized) return;
     try {
@@ -24,34 +54,12 @@ const audioEngine = {
         await ToneLib.getContext().resume();
       }
 
-      // Try remote CDN first (GitHub Pages, CORS-enabled)
-      try {
-        this.synth = new ToneLib.Sampler({
-          urls: SAMPLE_URLS,
-          attack: 0.002,
-          release: 1.2,
-          curve: 'exponential'
-        }, { baseUrl: REMOTE_SAMPLE_BASE }).toDestination();
-        await this.synth.loaded;
-      } catch (errCdn) {
-        console.warn('[audio] Remote samples failed, trying local fallback...', errCdn);
-        try {
-          // Local fallback (if you add files under /samples/clean-electric/)
-          this.synth = new ToneLib.Sampler({
-            urls: SAMPLE_URLS,
-            attack: 0.002,
-            release: 1.2,
-            curve: 'exponential'
-          }, { baseUrl: LOCAL_SAMPLE_BASE }).toDestination();
-          await this.synth.loaded;
-        } catch (errLocal) {
-          console.warn('[audio] Local samples failed, falling back to PluckSynth', errLocal);
-          this.synth = new ToneLib.PluckSynth({ attackNoise: 0.8, dampening: 5200, resonance: 0.9 }).toDestination();
-        }
-      }
+      await this.loadPack(this.packName);
 
       this.isInitialized = true;
       console.info('[audio] ready');
+      // The instrument may have changed while the first pack was loading
+      if (this.loadedPack !== this.packName) this.loadPack(this.packName);
       // Drain any queued notes
       const now = ToneLib.now();
       const q = this._queue.splice(0);
@@ -62,6 +70,45 @@ const audioEngine = {
       console.error('Could not start audio context', e);
     }
   },
+  // Walks the pack's CDN -> local -> synth chain; a newer request (instrument switch) wins over a slower one
+  async loadPack(packName) {
+    const pack = SAMPLE_PACKS[packName] || SAMPLE_PACKS.Synth;
+    const loadId = ++this._loadId;
+    const chain = [
+      pack.urls && pack.remote && { source: 'cdn', baseUrl: `${REMOTE_SAMPLE_ROOT}${pack.remote}` },
+      pack.urls && pack.local && { source: 'local', baseUrl: `${LOCAL_SAMPLE_ROOT}${pack.local}` },
+    ].filter(Boolean);
+
+    let next = null;
+    let source = 'synth';
+    for (const step of chain) {
+      try {
+        next = await loadSampler(pack.urls, step.baseUrl);
+        source = step.source;
+        break;
+      } catch (err) {
+        console.warn(`[audio] ${pack.label} ${SAMPLE_SOURCE_LABELS[step.source]} samples failed`, err);
+      }
+    }
+    if (!next) next = new ToneLib.PluckSynth(pack.synth);
+    if (loadId !== this._loadId) {
+      next.dispose();
+      return;
+    }
+    next.toDestination();
+    if (this.synth) this.synth.dispose();
+    this.synth = next;
+    this.loadedPack = packName;
+    this.source = source;
+    console.info(`[audio] ${pack.label} loaded from ${SAMPLE_SOURCE_LABELS[source]}`);
+    if (this.onSourceChange) this.onSourceChange({ pack: packName, source });
+  },
+  // Before init this only picks the pack; afterwards the new samples load in the background
+  async setInstrument(instrument) {
+    this.packName = instrument;
+    if (!this.isInitialized || instrument === this.loadedPack) return;
+    await this.loadPack(instrument);
+  },
   playNote(note, dur = '8n') {
     if (!this.isInitialized || !this.synth || !ToneLib) {
       this._queue.push({ note, dur });
@@ -79,9 +126,9 @@ const audioEngine = {
   },
   playCorrectSound(arg) {
     if (arg && typeof arg === 'object' && arg.stringIndex != null) {
-      const { stringIndex, fretIndex, instrument, note } = arg;
+      const { stringIndex, fretIndex, tuning, instrument, note } = arg;
       try {
-        const midi = computeStringFretMidi(instrument || 'Guitar', stringIndex, fretIndex);
+        const midi = computeStringFretMidi(tuning || instrument || 'Guitar', stringIndex, fretIndex);
         const name = ToneLib ? ToneLib.Frequency(midi, 'midi').toNote() : null;
         this.playNote(name || (note ? `${note}4` : 'E4'));
       } catch (e) {
@@ -95,12 +142,66 @@ const audioEngine = {
       this.playNote('E4');
     }
   },
+  // Plays notes one after another, e.g. a reference tone followed by an interval
+  playSequence(notes, { delay = 0, gap = 0.5, dur = '4n' } = {}) {
+    if (!this.isInitialized || !this.synth || !ToneLib) {
+      notes.forEach(note => this._queue.push({ note, dur }));
+      return;
+    }
+    const start = ToneLib.now() + delay;
+    this.markPrompt(delay + (notes.length - 1) * gap + ToneLib.Time(dur).toSeconds());
+    notes.forEach((note, i) => {
+      try {
+        if (typeof this.synth.triggerAttackRelease === 'function') {
+          this.synth.triggerAttackRelease(note, dur, start + i * gap);
+        } else if (typeof this.synth.triggerAttack === 'function') {
+          this.synth.triggerAttack(note, start + i * gap);
+        }
+      } catch (e) {
+        console.warn('[audio] playSequence failed', e);
+      }
+    });
+  },
+  markPrompt(seconds) {
+    this.promptEndsAt = Math.max(this.promptEndsAt, performance.now() + seconds * 1000);
+  },
+  isPromptPlaying() {
+    return performance.now() < this.promptEndsAt + MIC_PROMPT_TAIL_MS;
+  },
   playIncorrectSound() {
     this.playNote('E2');
   },
+  // Quarter-note click on the Transport (accent every 4 beats); onBeat runs in sync with the audio
+  startMetronome({ bpm, onBeat }) {
+    if (!ToneLib) return;
+    this.stopMetronome();
+    const transport = ToneLib.getTransport();
+    if (!this.click) {
+      this.click = new ToneLib.Synth({ oscillator: { type: 'square' }, envelope: { attack: 0.001, decay: 0.05, sustain: 0, release: 0.02 }, volume: -12 }).toDestination();
+    }
+    let beat = 0;
+    transport.bpm.value = bpm;
+    this._metronomeId = transport.scheduleRepeat((time) => {
+      const index = beat++;
+      this.click.triggerAttackRelease(index % 4 === 0 ? 'C6' : 'G5', '32n', time);
+      ToneLib.getDraw().schedule(() => onBeat(index), time);
+    }, '4n');
+    transport.start('+0.5'); // after the start jingle
+  },
+  setTempo(bpm) {
+    if (ToneLib) ToneLib.getTransport().bpm.rampTo(bpm, 0.2);
+  },
+  stopMetronome() {
+    if (!ToneLib || this._metronomeId == null) return;
+    const transport = ToneLib.getTransport();
+    transport.clear(this._metronomeId);
+    transport.stop();
+    this._metronomeId = null;
+  },
   playStartSound() {
     if (!this.isInitialized || !this.synth || !ToneLib) return;
     const now = ToneLib.now();
+    this.markPrompt(0.2 + ToneLib.Time('8n').toSeconds());
     try {
       if (typeof this.synth.triggerAttackRelease === 'function') {
         this.synth.triggerAttackRelease('C4', '8n', now);
@@ -117,246 +218,194 @@ const audioEngine = {
   }
 };
 
-// --- Music Theory Constants ---
-const ALL_NOTES = ['A', 'A#', 'B', 'C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#'];
-const WHOLE_NOTES = ['A', 'B', 'C', 'D', 'E', 'F', 'G'];
-const SCALES = {
-  'Major': [0, 2, 4, 5, 7, 9, 11],
-  'Natural Minor': [0, 2, 3, 5, 7, 8, 10],
-  'Major Pentatonic': [0, 2, 4, 7, 9],
-  'Minor Pentatonic': [0, 3, 5, 7, 10],
-  'Chromatic': [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+// --- Saved data (localStorage) ---
+// JSON under one key, falling back when storage is unavailable or holds the wrong shape (an array for
+// array fallbacks, an object otherwise); `tag` and `what` make up the console warning, e.g. '[tuning]' and 'custom tunings'
+const loadJson = (key, fallback, tag, what) => {
+  try {
+    const raw = typeof localStorage !== 'undefined' ? localStorage.getItem(key) : null;
+    const parsed = raw ? JSON.parse(raw) : fallback;
+    const isSameShape = Array.isArray(fallback) ? Array.isArray(parsed) : !!parsed && typeof parsed === 'object';
+    return isSameShape ? parsed : fallback;
+  } catch (e) {
+    console.warn(`${tag} Could not read ${what}`, e);
+    return fallback;
+  }
 };
 
-// --- Instrument Definitions ---
-const INSTRUMENTS = {
-  'Guitar':   { tuning: ['E', 'B', 'G', 'D', 'A', 'E'], frets: 13 },
-  'Bass':     { tuning: ['G', 'D', 'A', 'E'], frets: 13 },
-  'Ukulele':  { tuning: ['A', 'E', 'C', 'G'], frets: 13 },
-  'Mandolin': { tuning: ['E', 'A', 'D', 'G'], frets: 13 },
+const saveJson = (key, value, tag, what) => {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+  } catch (e) {
+    console.warn(`${tag} Could not save ${what}`, e);
+  }
 };
 
-// --- Helper Functions ---
-const generateFretboardLayout = (tuning, fretCount) => {
-  return tuning.map(openNote => {
-    const string = [openNote];
-    let lastNoteIndex = ALL_NOTES.indexOf(openNote);
-    for (let i = 0; i < fretCount - 1; i++) {
-      lastNoteIndex = (lastNoteIndex + 1) % 12;
-      string.push(ALL_NOTES[lastNoteIndex]);
-    }
-    return string;
-  });
+// --- Custom tunings (localStorage) ---
+const CUSTOM_TUNINGS_STORAGE_KEY = 'fretboarder.customTunings';
+const loadCustomTunings = () => loadJson(CUSTOM_TUNINGS_STORAGE_KEY, {}, '[tuning]', 'custom tunings');
+const saveCustomTunings = (customTunings) => saveJson(CUSTOM_TUNINGS_STORAGE_KEY, customTunings, '[tuning]', 'custom tunings');
+
+// --- Custom scales (localStorage) ---
+const CUSTOM_SCALES_STORAGE_KEY = 'fretboarder.customScales';
+const loadCustomScales = () => loadJson(CUSTOM_SCALES_STORAGE_KEY, {}, '[scale]', 'custom scales');
+const saveCustomScales = (customScales) => saveJson(CUSTOM_SCALES_STORAGE_KEY, customScales, '[scale]', 'custom scales');
+
+// --- Practice statistics (localStorage) ---
+const GUESS_HISTORY_STORAGE_KEY = 'fretboarder.guessHistory';
+const PLAYER_STORAGE_KEY = 'fretboarder.player';
+const loadGuessHistory = () => loadJson(GUESS_HISTORY_STORAGE_KEY, [], '[stats]', 'guess history');
+const saveGuessHistory = (records) => saveJson(GUESS_HISTORY_STORAGE_KEY, records, '[stats]', 'guess history');
+
+const loadPlayerName = () => {
+  try {
+    return (typeof localStorage !== 'undefined' && localStorage.getItem(PLAYER_STORAGE_KEY)) || 'Player 1';
+  } catch (e) {
+    return 'Player 1';
+  }
 };
 
-const getFretKey = (stringIndex, fretIndex) => `${stringIndex}-${fretIndex}`;
-
-const getNotesInScale = (rootNote, scaleIntervals) => {
-  const rootIndex = ALL_NOTES.indexOf(rootNote);
-  if (rootIndex === -1) return [];
-  return scaleIntervals.map(interval => ALL_NOTES[(rootIndex + interval) % 12]);
+const savePlayerName = (name) => {
+  try {
+    localStorage.setItem(PLAYER_STORAGE_KEY, name);
+  } catch (e) {
+    console.warn('[stats] Could not save player name', e);
+  }
 };
 
-const findAllNotePositions = (notesToFind, range, fretboardLayout) => {
-  const positions = [];
-  const notes = Array.isArray(notesToFind) ? notesToFind : [notesToFind];
-  fretboardLayout.forEach((string, sIndex) => {
-    string.forEach((note, fIndex) => {
-      if (notes.includes(note) && fIndex >= range[0] && fIndex <= range[1]) {
-        positions.push(getFretKey(sIndex, fIndex));
-      }
+// --- Pitch Detection (microphone input) ---
+const MIC_FRAME_SIZE = 4096; // long enough for a low B0 on 5-string bass
+const MIC_POLL_MS = 40;
+// Samples ring on after a prompt's last note; the mic stays deaf this long past it
+const MIC_PROMPT_TAIL_MS = 600;
+
+const micInput = {
+  context: null,
+  stream: null,
+  source: null,
+  analyser: null,
+  timerId: null,
+  isListening: false,
+  _session: 0,
+  async start(onNote) {
+    if (this.isListening) return;
+    const session = this._session;
+    if (typeof navigator === 'undefined' || !navigator.mediaDevices?.getUserMedia) {
+      throw new Error('Microphone input is not supported in this browser');
+    }
+    const stream = await navigator.mediaDevices.getUserMedia({
+      audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
     });
-  });
-  return positions;
+    if (session !== this._session) { // stop() was called while the permission prompt was open
+      stream.getTracks().forEach(t => t.stop());
+      return;
+    }
+    this.stream = stream;
+    const AudioContextCtor = window.AudioContext || window.webkitAudioContext;
+    this.context = new AudioContextCtor();
+    this.source = this.context.createMediaStreamSource(this.stream);
+    this.analyser = this.context.createAnalyser();
+    this.analyser.fftSize = MIC_FRAME_SIZE;
+    this.source.connect(this.analyser);
+
+    const frame = new Float32Array(MIC_FRAME_SIZE);
+    const tracker = createNoteOnsetTracker();
+    this.timerId = setInterval(() => {
+      this.analyser.getFloatTimeDomainData(frame);
+      const midi = tracker(detectPitch(frame, this.context.sampleRate));
+      if (midi != null) onNote(midi);
+    }, MIC_POLL_MS);
+    this.isListening = true;
+    console.info('[mic] listening');
+  },
+  stop() {
+    this._session++;
+    if (this.timerId) clearInterval(this.timerId);
+    if (this.stream) this.stream.getTracks().forEach(t => t.stop());
+    if (this.context) this.context.close().catch(() => {});
+    this.context = this.stream = this.source = this.analyser = this.timerId = null;
+    this.isListening = false;
+  },
 };
 
-const shuffleArray = (array) => {
-  let currentIndex = array.length, randomIndex;
-  while (currentIndex !== 0) {
-    randomIndex = Math.floor(Math.random() * currentIndex);
-    currentIndex--;
-    [array[currentIndex], array[randomIndex]] = [array[randomIndex], array[currentIndex]];
-  }
-  return array;
+// --- Web MIDI input (MIDI guitars and keyboards) ---
+const MIDI_LAYOUTS = {
+  keyboard: 'Keyboard (pitch)',
+  guitar: 'Guitar (channel per string)',
 };
 
-// Pitch mapping helpers for realistic string octaves
-const NOTE_TO_INDEX = { C:0,'C#':1,D:2,'D#':3,E:4,F:5,'F#':6,G:7,'G#':8,A:9,'A#':10,B:11 };
-const OPEN_STRING_MIDI = {
-  'Guitar':   [64, 59, 55, 50, 45, 40], // High E4 (top) -> Low E2 (bottom)
-  'Bass':     [43, 38, 33, 28],        // G2, D2, A1, E1
-  'Ukulele':  [69, 64, 60, 67],        // A4, E4, C4, G4 (re-entrant)
-  'Mandolin': [76, 69, 62, 55],        // E5, A4, D4, G3
-};
-const computeStringFretMidi = (instrument, stringIndex, fretIndex) => {
-  const arr = OPEN_STRING_MIDI[instrument] || OPEN_STRING_MIDI['Guitar'];
-  const base = arr[stringIndex] != null ? arr[stringIndex] : arr[0];
-  return base + fretIndex;
+const midiInput = {
+  access: null,
+  activeInput: null,
+  async init(onDevicesChange) {
+    if (!this.access) {
+      if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
+        throw new Error('Web MIDI is not supported in this browser');
+      }
+      this.access = await navigator.requestMIDIAccess();
+    }
+    this.access.onstatechange = () => onDevicesChange && onDevicesChange(this.listInputs());
+    return this.listInputs();
+  },
+  listInputs() {
+    if (!this.access) return [];
+    return Array.from(this.access.inputs.values()).map(input => ({ id: input.id, name: input.name || 'MIDI input', state: input.state }));
+  },
+  connect(id, onNote) {
+    this.disconnect();
+    const input = this.access && this.access.inputs.get(id);
+    if (!input) return false;
+    input.onmidimessage = (e) => {
+      const msg = parseMidiMessage(e.data);
+      if (msg) onNote(msg);
+    };
+    this.activeInput = input;
+    console.info('[midi] connected to', input.name);
+    return true;
+  },
+  disconnect() {
+    if (this.activeInput) this.activeInput.onmidimessage = null;
+    this.activeInput = null;
+  },
 };
 
-// Helper to compute CSS grid columns for shrinking fret widths
-const computeFretColumns = (fretCount) => {
-  if (!Number.isFinite(fretCount) || fretCount <= 0) return 'repeat(12, 1fr)';
-  const weights = Array.from({ length: fretCount }, (_, i) => Math.pow(2, -(i + 1) / 12));
-  const sum = weights.reduce((a, b) => a + b, 0);
-  return weights.map(w => `${(w / sum).toFixed(4)}fr`).join(' ');
+// --- Shareable drill configuration (URL query or hash) ---
+// A hash that looks like `#mode=...` wins over the query, so hash-only links work on static hosts
+const readDrillConfigFromUrl = () => {
+  if (typeof window === 'undefined') return { paramString: '', inHash: false };
+  const hash = window.location.hash.replace(/^#/, '');
+  const inHash = hash.includes('=');
+  const params = new URLSearchParams(window.location.search);
+  if (inHash) new URLSearchParams(hash).forEach((value, key) => params.set(key, value));
+  return { paramString: params.toString(), inHash };
 };
 
-// --- State Management (Reducer) ---
-const initialState = {
-  gameStarted: false,
-  isGameOver: false,
-  isPracticeMode: false,
-  isReviewing: false,
-  timer: 0,
-  noteQueue: [],
-  noteQueueIndex: 0,
-  currentNote: '',
-  notesToFind: [],
-  message: 'Select an instrument and mode, then click "Play" to begin!',
-  foundFrets: [],
-  flashFret: null,
-  totalNotesInRound: 0,
-  totalFretsFoundInRound: 0,
-  shakeFret: null,
-  revealedFrets: {},
+const writeDrillConfigToUrl = (paramString, inHash) => {
+  const { pathname, search, hash } = window.location;
+  const next = inHash
+    ? `${pathname}${search}#${paramString}`
+    : `${pathname}${paramString ? `?${paramString}` : ''}${hash}`;
+  if (next !== `${pathname}${search}${hash}`) window.history.replaceState(null, '', next);
 };
 
-function gameReducer(state, action) {
-  switch (action.type) {
-    case 'START_GAME': {
-      const { gameMode, fretRange, rootNote, scaleType, isWholeNotesMode, isPractice, fretboardLayout } = action.payload;
-      let notesToFindInMode = [];
-      let noteQueueForMode = [];
-      let messageForMode = '';
-      let totalNotes = 0;
-
-      if (gameMode === 'findNote') {
-        const notesInRange = new Set();
-        fretboardLayout.forEach(string => {
-          for (let fIndex = fretRange[0]; fIndex <= fretRange[1]; fIndex++) {
-            const note = string[fIndex];
-            if (!isWholeNotesMode || WHOLE_NOTES.includes(note)) {
-              notesInRange.add(note);
-            }
-          }
-        });
-        noteQueueForMode = shuffleArray([...notesInRange]);
-        if (noteQueueForMode.length === 0) {
-          return { ...initialState, message: "No notes available in this range." };
-        }
-        noteQueueForMode.forEach(note => {
-          totalNotes += findAllNotePositions([note], fretRange, fretboardLayout).length;
-        });
-        const firstNote = noteQueueForMode[0];
-        notesToFindInMode = [firstNote];
-        messageForMode = `Find all the ${firstNote} notes!`;
-      } else { // gameMode === 'scaleDrill'
-        notesToFindInMode = getNotesInScale(rootNote, SCALES[scaleType]);
-        totalNotes = findAllNotePositions(notesToFindInMode, fretRange, fretboardLayout).length;
-        messageForMode = isPractice ? `Practice the ${rootNote} ${scaleType} scale.` : `Find all notes in ${rootNote} ${scaleType}!`;
-      }
-
-      return {
-        ...initialState,
-        gameStarted: true,
-        isPracticeMode: isPractice,
-        noteQueue: noteQueueForMode,
-        currentNote: noteQueueForMode.length > 0 && !isPractice ? noteQueueForMode[0] : '',
-        notesToFind: notesToFindInMode,
-        message: messageForMode,
-        totalNotesInRound: totalNotes,
-      };
-    }
-    case 'STOP_GAME': {
-      return { ...initialState, message: 'Game Stopped. Click "Play" to start again!' };
-    }
-    case 'TICK_TIMER': {
-      if (!state.gameStarted || state.isGameOver || state.isPracticeMode) return state;
-      return { ...state, timer: state.timer + 0.01 };
-    }
-    case 'TICK_TIMER_DELTA': {
-      if (!state.gameStarted || state.isGameOver || state.isPracticeMode) return state;
-      return { ...state, timer: state.timer + (action.payload || 0) };
-    }
-    case 'CORRECT_GUESS': {
-      const { clickedFretKey } = action.payload;
-      if (state.foundFrets.includes(clickedFretKey)) {
-        return { ...state, message: "You already found that one!" };
-      }
-      const newFoundFrets = [...state.foundFrets, clickedFretKey];
-      return {
-        ...state,
-        message: 'Correct!',
-        foundFrets: newFoundFrets,
-        flashFret: clickedFretKey,
-        totalFretsFoundInRound: state.totalFretsFoundInRound + 1,
-      };
-    }
-    case 'INCORRECT_GUESS': {
-      if (state.isPracticeMode) return state;
-      return {
-        ...state,
-        message: 'Not quite! Here are the correct notes.',
-        isReviewing: true,
-      };
-    }
-    case 'END_REVIEW': {
-      return { ...state, isReviewing: false, message: 'Continue finding the notes.' };
-    }
-    case 'ADVANCE_NOTE': {
-      const newIndex = state.noteQueueIndex + 1;
-      if (newIndex >= state.noteQueue.length) {
-        const finalMessage = state.isPracticeMode ? 'Practice Complete!' : `Finished! Final Time: ${state.timer.toFixed(2)}s`;
-        return {
-          ...state,
-          gameStarted: false,
-          isGameOver: true,
-          message: finalMessage,
-        }
-      }
-      const newNote = state.noteQueue[newIndex];
-      return {
-        ...state,
-        foundFrets: [],
-        noteQueueIndex: newIndex,
-        currentNote: newNote,
-        notesToFind: [newNote],
-        message: `All found! Now find all the ${newNote} notes!`
-      };
-    }
-    case 'GAME_OVER': {
-      const finalMessage = state.isPracticeMode ? 'Practice Complete!' : `Finished! Final Time: ${action.payload.finalTime.toFixed(2)}s`;
-      return {
-        ...state,
-        gameStarted: false,
-        isGameOver: true,
-        message: finalMessage,
-      }
-    }
-    case 'CLEAR_FLASH': {
-      return { ...state, flashFret: null };
-    }
-    case 'FLASH_INCORRECT': {
-      return { ...state, shakeFret: action.payload.clickedFretKey };
-    }
-    case 'CLEAR_SHAKE': {
-      return { ...state, shakeFret: null };
-    }
-    case 'REVEAL_FRET': {
-      const { fretKey, note } = action.payload;
-      return { ...state, revealedFrets: { ...state.revealedFrets, [fretKey]: note } };
-    }
-    case 'HIDE_REVEAL': {
-      const { fretKey } = action.payload;
-      const updated = { ...state.revealedFrets };
-      delete updated[fretKey];
-      return { ...state, revealedFrets: updated };
-    }
-    default:
-      return state;
-  }
-}
+const getDrillLink = (paramString) => `${window.location.origin}${window.location.pathname}${paramString ? `?${paramString}` : ''}`;
+
+// --- Daily Challenge (seeded by the date, results kept on this device) ---
+const DAILY_STORAGE_KEY = 'fretboarder.daily';
+const loadDailyResults = () => loadJson(DAILY_STORAGE_KEY, {}, '[daily]', 'daily results');
+const saveDailyResults = (results) => saveJson(DAILY_STORAGE_KEY, results, '[daily]', 'daily results');
+
+// --- Session recording and replay ---
+const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+const downloadJson = (fileName, data) => {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  // Revoking straight away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
 
 // --- Child Components ---
 
@@ -378,6 +427,180 @@ const FinalTimeDisplay = ({ time }) => (
   </div>
 );
 
+// Results screen: score, accuracy and per-target splits, slowest first, plus every wrong fret
+const ResultsPanel = ({ score, time, totalTargets }) => {
+  const { accuracy, speedBonus, par, total } = computeFinalScore(score, time, totalTargets);
+  const byTarget = useMemo(() => {
+    const rows = {};
+    score.splits.forEach(({ label, time: splitTime, misses }) => {
+      const row = rows[label] || (rows[label] = { label, time: 0, misses: 0, count: 0 });
+      row.time += splitTime;
+      row.misses += misses;
+      row.count += 1;
+    });
+    return Object.values(rows).sort((a, b) => b.time - a.time);
+  }, [score.splits]);
+  const stats = [
+    { label: 'Score', value: total },
+    { label: 'Accuracy', value: `${Math.round(accuracy * 100)}%` },
+    { label: 'Hits / Misses', value: `${score.hits} / ${score.misses}` },
+    { label: 'Best Streak', value: score.bestStreak },
+    { label: 'Speed Bonus', value: `+${speedBonus}`, title: `Par ${par}s for ${totalTargets} targets` },
+  ];
+
+  return (
+    <div className="p-4 bg-slate-900/50 rounded-xl border border-green-500/60 space-y-4">
+      <div className="grid grid-cols-2 md:grid-cols-5 gap-3 text-center">
+        {stats.map(({ label, value, title }) => (
+          <div key={label} title={title}>
+            <p className="text-xs font-medium text-slate-400 uppercase tracking-wider">{label}</p>
+            <p className="text-xl font-bold text-green-400 mt-1">{value}</p>
+          </div>
+        ))}
+      </div>
+      <div className="grid gap-4 md:grid-cols-2 text-xs">
+        <table className="w-full text-slate-300">
+          <thead>
+            <tr className="text-slate-500">
+              <th className="text-left font-medium">Target</th>
+              <th className="text-right font-medium">Time</th>
+              <th className="text-right font-medium">Errors</th>
+            </tr>
+          </thead>
+          <tbody>
+            {byTarget.map(row => (
+              <tr key={row.label}>
+                <td className="py-0.5 font-bold text-blue-400">{row.label}{row.count > 1 && <span className="text-slate-500 font-normal"> ×{row.count}</span>}</td>
+                <td className="text-right">{row.time.toFixed(2)}s</td>
+                <td className={`text-right ${row.misses ? 'text-red-400' : 'text-slate-500'}`}>{row.misses}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div>
+          <p className="text-slate-500 mb-1">Missed frets</p>
+          {score.missedFrets.length === 0 ? (
+            <p className="text-green-400">None — clean round!</p>
+          ) : (
+            <ul className="space-y-0.5 text-slate-300">
+              {score.missedFrets.map(({ fretKey, note, target }, i) => {
+                const [stringIndex, fretIndex] = fretKey.split('-').map(Number);
+                return (
+                  <li key={`${fretKey}-${i}`}>
+                    String {stringIndex + 1}, fret {fretIndex} is <span className="text-red-400 font-bold">{note}</span>
+                    <span className="text-slate-500"> (looking for {target})</span>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// --- Replay panel: pick, play, scrub, export and import recorded rounds ---
+const formatReplayTime = (ms) => `${Math.floor(ms / 60000)}:${String(Math.floor(ms / 1000) % 60).padStart(2, '0')}`;
+
+const ReplayPanel = ({ lastRecording, replay, replayView, onStart, onTogglePlay, onSeek, onSpeed, onExit, onImport, importError, onClose }) => {
+  const fileRef = useRef(null);
+  const smallButton = 'inline-flex items-center text-xs px-3 py-1.5 rounded-full border-2 bg-slate-900/50 hover:brightness-110';
+  const describe = (recording) => `${recording.player} · ${recording.instrument} · ${(getGameMode(recording.gameMode) || {}).label || recording.gameMode} · ${new Date(recording.recordedAt).toLocaleString()}`;
+  const exportRecording = (recording) => downloadJson(`fretboarder-replay-${recording.recordedAt.slice(0, 19).replace(/[T:]/g, '-')}.json`, recording);
+
+  return (
+    <div className="mb-4 p-4 bg-slate-900/50 rounded-xl border border-fuchsia-500/60 space-y-3">
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <h2 className="text-sm font-bold text-fuchsia-400 uppercase tracking-wider">Replay</h2>
+        <div className="flex items-center gap-2">
+          <input
+            ref={fileRef}
+            type="file"
+            accept="application/json,.json"
+            className="hidden"
+            onChange={e => { if (e.target.files[0]) onImport(e.target.files[0]); e.target.value = ''; }}
+          />
+          <button type="button" onClick={() => fileRef.current.click()} className={`${smallButton} border-fuchsia-500 text-fuchsia-400`}>Import JSON…</button>
+          <button type="button" onClick={replay ? onExit : onClose} className={`${smallButton} border-slate-600 text-slate-300`}>{replay ? 'Exit Replay' : 'Close'}</button>
+        </div>
+      </div>
+      {importError && <p className="text-xs text-red-400">{importError}</p>}
+
+      {replay ? (
+        <>
+          <p className="text-xs text-slate-400">{describe(replay.recording)}</p>
+          <div className="flex items-center gap-3 flex-wrap">
+            <button type="button" onClick={onTogglePlay} className={`${smallButton} border-fuchsia-500 text-fuchsia-400`}>
+              {replay.isPlaying ? '⏸ Pause' : '▶ Play'}
+            </button>
+            <input
+              type="range"
+              min={0}
+              max={replay.duration}
+              value={replay.elapsedMs}
+              onChange={e => onSeek(Number(e.target.value))}
+              aria-label="Replay position"
+              className="flex-1 min-w-[8rem] accent-fuchsia-500"
+            />
+            <span className="text-xs text-slate-300 tabular-nums">{formatReplayTime(replay.elapsedMs)} / {formatReplayTime(replay.duration)}</span>
+            <div className="flex gap-1">
+              {REPLAY_SPEEDS.map(speed => (
+                <button
+                  key={speed}
+                  type="button"
+                  onClick={() => onSpeed(speed)}
+                  className={`text-xs px-2 py-1 rounded-full border-2 ${replay.speed === speed ? 'border-fuchsia-500 text-fuchsia-400' : 'border-slate-600 text-slate-400'}`}
+                >
+                  {speed}×
+                </button>
+              ))}
+            </div>
+            <button type="button" onClick={() => exportRecording(replay.recording)} className={`${smallButton} border-slate-600 text-slate-300`}>Export</button>
+          </div>
+          <p className="text-sm text-slate-300">
+            <span className="text-blue-400 font-bold">{replayView.currentNote || replayView.notesToFind.join(' ')}</span>
+            <span className="text-slate-500"> · </span>
+            {replayView.message}
+            <span className="text-slate-500"> · {replayView.timer.toFixed(2)}s · ✓ {replayView.score.hits} ✗ {replayView.score.misses}</span>
+          </p>
+        </>
+      ) : lastRecording ? (
+        <div className="flex items-center gap-3 flex-wrap text-xs text-slate-300">
+          <span>Last round: {describe(lastRecording)}</span>
+          <button type="button" onClick={() => onStart(lastRecording)} className={`${smallButton} border-fuchsia-500 text-fuchsia-400`}>▶ Replay</button>
+          <button type="button" onClick={() => exportRecording(lastRecording)} className={`${smallButton} border-slate-600 text-slate-300`}>Export</button>
+        </div>
+      ) : (
+        <p className="text-xs text-slate-500">Finish a round to record it, or import a replay someone sent you.</p>
+      )}
+    </div>
+  );
+};
+
+// Rhythm drill results: in-time and on-the-beat rates rather than just the total time
+const RhythmResults = ({ rhythm }) => {
+  const { total, hits, misses, onBeat, onBeatRate, meanOffsetMs } = summarizeRhythmResults(rhythm.results);
+  const feel = meanOffsetMs == null ? '–' : `${Math.abs(Math.round(meanOffsetMs))} ms ${meanOffsetMs < 0 ? 'ahead' : 'behind'}`;
+  const stats = [
+    { label: 'In Time', value: `${hits}/${total}` },
+    { label: 'Missed', value: misses },
+    { label: 'On the Beat', value: `${onBeat} (${Math.round(onBeatRate * 100)}%)` },
+    { label: 'Average Feel', value: feel },
+    { label: 'Tempo', value: rhythm.bpm === rhythm.startBpm ? `${rhythm.bpm} BPM` : `${rhythm.startBpm} → ${rhythm.bpm} BPM` },
+  ];
+  return (
+    <div className="p-4 bg-slate-900/50 rounded-xl border border-blue-500/60 grid grid-cols-2 md:grid-cols-5 gap-3 text-center">
+      {stats.map(({ label, value }) => (
+        <div key={label}>
+          <p className="text-xs font-medium text-slate-400 uppercase tracking-wider">{label}</p>
+          <p className="text-xl font-bold text-blue-400 mt-1">{value}</p>
+        </div>
+      ))}
+    </div>
+  );
+};
+
 // --- Toolbar UI helpers (pill-style tags) ---
 const TAG_COLORS = {
   violet: { border: 'border-violet-500', text: 'text-violet-400', dot: 'bg-violet-500' },
@@ -403,7 +626,8 @@ const TagToggle = ({ color = 'blue', active = false, text, onClick, disabled = f
 };
 
 // --- Custom dropdown (TagMenu) matching the pill style ---
-const TagMenu = ({ color = 'blue', display, value, options, onChange, disabled = false, ariaLabel }) => {
+// With `multiple`, `value` is an array: picking an option toggles it and the menu stays open
+const TagMenu = ({ color = 'blue', display, value, options, onChange, disabled = false, ariaLabel, multiple = false }) => {
   const c = disabled ? TAG_COLORS.slate : (TAG_COLORS[color] || TAG_COLORS.blue);
   const [open, setOpen] = useState(false);
   const [activeIndex, setActiveIndex] = useState(() => Math.max(0, options.findIndex(o => String(o.value) === String(value))));
@@ -427,8 +651,15 @@ const TagMenu = ({ color = 'blue', display, value, options, onChange, disabled =
     return () => document.removeEventListener('mousedown', onDoc);
   }, [open]);
 
+  const isSelected = (val) => (multiple ? value.map(String).includes(String(val)) : String(val) === String(value));
+
   const selectValue = (val) => {
     if (disabled) return;
+    if (multiple) {
+      const next = isSelected(val) ? value.filter(v => String(v) !== String(val)) : [...value, val];
+      onChange && onChange({ target: { value: next } });
+      return;
+    }
     onChange && onChange({ target: { value: val } });
     setOpen(false);
   };
@@ -438,7 +669,7 @@ const TagMenu = ({ color = 'blue', display, value, options, onChange, disabled =
     if (e.key === 'Enter' || e.key === ' ') { e.preventDefault(); setOpen(o => !o); }
     else if (e.key === 'ArrowDown') { e.preventDefault(); if (!open) setOpen(true); setActiveIndex(i => Math.min(options.length - 1, (open ? i : -1) + 1)); }
     else if (e.key === 'ArrowUp') { e.preventDefault(); if (!open) setOpen(true); setActiveIndex(i => Math.max(0, (open ? i : 1) - 1)); }
-    else if (e.key === 'Escape') { setOpen(false); }
+    else if (e.key === 'Escape') { if (open) e.preventDefault(); setOpen(false); } // an open menu keeps Escape from stopping the round
     else if (e.key === 'Home') { e.preventDefault(); setActiveIndex(0); }
     else if (e.key === 'End') { e.preventDefault(); setActiveIndex(options.length - 1); }
   };
@@ -465,11 +696,12 @@ const TagMenu = ({ color = 'blue', display, value, options, onChange, disabled =
         <div
           ref={listRef}
           role="listbox"
+          aria-multiselectable={multiple || undefined}
           tabIndex={-1}
           className="absolute z-50 mt-2 min-w-[10rem] right-0 rounded-xl border-2 border-slate-700 bg-slate-900/95 shadow-xl p-1"
         >
           {options.map((opt, idx) => {
-            const selected = String(opt.value) === String(value);
+            const selected = isSelected(opt.value);
             const active = idx === activeIndex;
             return (
               <div
@@ -495,23 +727,324 @@ const TagMenu = ({ color = 'blue', display, value, options, onChange, disabled =
   );
 };
 
-const Toolbar = ({ instrument, setInstrument, gameMode, setGameMode, rootNote, setRootNote, scaleType, setScaleType, isWholeNotesMode, setIsWholeNotesMode, gameStarted, audioReady }) => {
+const EDIT_TUNING_OPTION = '__edit_tuning__';
+const EDIT_SCALE_OPTION = '__edit_scale__';
+
+const Toolbar = ({ onShowStats, onShowDaily, onShowReplay, onCopyLink, linkStatus, instrument, setInstrument, fretCount, setFretCount, tuningName, setTuningName, customTunings, onEditTuning, gameMode, setGameMode, rootNote, setRootNote, scaleType, setScaleType, customScales, onEditScale, scalePosition, setScalePosition, scaleRun, setScaleRun, chordType, setChordType, chordProgression, setChordProgression, intervalKeys, setIntervalKeys, intervalTarget, setIntervalTarget, earDifficulty, setEarDifficulty, isEarReferenceOn, setIsEarReferenceOn, isWholeNotesMode, setIsWholeNotesMode, noteSpelling, setNoteSpelling, queueStrategy, setQueueStrategy, rhythmBpm, setRhythmBpm, rhythmBeats, setRhythmBeats, isRhythmRampOn, setIsRhythmRampOn, inputMode, setInputMode, isOctaveExact, setIsOctaveExact, micStatus, midiDevices, midiDeviceId, setMidiDeviceId, midiLayout, setMidiLayout, midiStatus, gameStarted, audioReady, audioSource }) => {
   const instrumentOptions = Object.keys(INSTRUMENTS).map(inst => ({ value: inst, label: inst }));
-  const modeOptions = [
-    { value: 'findNote', label: 'Note Cycle' },
-    { value: 'scaleDrill', label: 'Scale Drill' },
+  const tuningOptions = [
+    ...Object.entries(getTuningOptions(instrument, customTunings)).map(([name, tuning]) => ({
+      value: name,
+      label: `${name} (${tuning.map(p => parsePitch(p).pitchClass).join(' ')})`,
+    })),
+    { value: EDIT_TUNING_OPTION, label: '✎ Edit / new tuning…' },
+  ];
+  const inputOptions = [
+    { value: 'click', label: 'Click / Tap' },
+    { value: 'mic', label: 'Microphone' },
+    { value: 'midi', label: 'MIDI Device' },
+  ];
+  const inputDisplay = { click: '🖱️ Click / Tap', mic: '🎤 Microphone', midi: '🎹 MIDI' }[inputMode];
+  const midiDeviceOptions = midiDevices.filter(d => d.state === 'connected').map(d => ({ value: d.id, label: d.name }));
+  const midiDeviceName = (midiDeviceOptions.find(o => o.value === midiDeviceId) || {}).label;
+  const midiLayoutOptions = Object.entries(MIDI_LAYOUTS).map(([value, label]) => ({ value, label }));
+  // A synth fallback still works, but shows amber so missing samples are noticed
+  const audioPill = !audioReady ? 'border-slate-600 text-slate-400' : audioSource && audioSource.source === 'synth' ? 'border-amber-500 text-amber-400' : 'border-green-500 text-green-400';
+  const audioDot = !audioReady ? 'bg-slate-500' : audioSource && audioSource.source === 'synth' ? 'bg-amber-500' : 'bg-green-500';
+  const midiPill = { connected: 'border-green-500 text-green-400', error: 'border-red-500 text-red-400' }[midiStatus] || 'border-slate-600 text-slate-400';
+  const midiDot = { connected: 'bg-green-500', error: 'bg-red-500' }[midiStatus] || 'bg-slate-500';
+  const micPill = { listening: 'border-green-500 text-green-400', error: 'border-red-500 text-red-400' }[micStatus] || 'border-slate-600 text-slate-400';
+  const micDot = { listening: 'bg-green-500', error: 'bg-red-500' }[micStatus] || 'bg-slate-500';
+  const fretCountOptions = getFretOptions(instrument).map(n => ({ value: n, label: `${n} frets` }));
+  const modeOptions = Object.values(GAME_MODE_REGISTRY).map(mode => ({ value: mode.id, label: mode.menuLabel }));
+  const earDifficultyOptions = Object.entries(EAR_DIFFICULTIES).map(([value, { label, strings, octaves }]) => ({
+    value,
+    label: `${label} (${Number.isFinite(strings) ? `low ${strings} strings` : 'all strings'}, ${Number.isFinite(octaves) ? `${octaves} oct` : 'full range'})`,
+  }));
+  const chordOptions = Object.entries(CHORDS).map(([key, { name, group, formula }]) => ({ value: key, label: `${group} · ${name} (${formula})` }));
+  const progressionOptions = [
+    { value: 'single', label: 'Single chord' },
+    ...Object.keys(PROGRESSIONS).map(name => ({ value: name, label: `Progression: ${name}` })),
+  ];
+  const intervalOptions = Object.entries(INTERVALS).map(([key, { name }]) => ({ value: key, label: `${key} · ${name}` }));
+  const intervalTargetOptions = [
+    { value: 'above', label: 'One above (exact pitch)' },
+    { value: 'all', label: 'Every one in range' },
+  ];
+  const rootOptions = ROOT_NOTES.map(n => ({ value: n, label: n }));
+  const queueOptions = [
+    { value: 'uniform', label: 'Shuffle (uniform)' },
+    { value: 'adaptive', label: 'Adaptive (weak spots first)' },
   ];
-  const rootOptions = ALL_NOTES.map(n => ({ value: n, label: n }));
-  const scaleOptions = Object.keys(SCALES).map(s => ({ value: s, label: s }));
+  const spellingOptions = [
+    { value: 'sharps', label: 'Sharps (C#)' },
+    { value: 'flats', label: 'Flats (Db)' },
+    { value: 'mixed', label: 'Mixed (C# or Db)' },
+  ];
+  const scaleGroups = { ...SCALE_GROUPS, Custom: Object.keys(customScales) };
+  const scaleOptionsByName = getScaleOptions(customScales);
+  const scaleOptions = [
+    ...Object.entries(scaleGroups).flatMap(([group, names]) => names.map(name => ({
+      value: name,
+      label: `${group} · ${name} (${formatScaleSteps(scaleOptionsByName[name])})`,
+    }))),
+    { value: EDIT_SCALE_OPTION, label: '✎ Edit / new scale…' },
+  ];
+  const openPitches = resolveTuning(instrument, tuningName, customTunings);
+  const positionOptions = [
+    { value: 'all', label: 'Whole range' },
+    ...listScalePositions(resolveScale(scaleType, customScales), openPitches.length).map(({ id, label }) => ({
+      value: id,
+      label: id.startsWith('string-') ? `${label} (${parsePitch(openPitches[Number(id.slice(7)) - 1]).pitchClass})` : label,
+    })),
+  ];
+  const positionLabel = (positionOptions.find(o => o.value === scalePosition) || positionOptions[0]).label;
+
+  // Per-mode controls; each mode lists the ids it wants in its `controls`
+  const modeControls = {
+    rootNote: () => (
+      <TagMenu
+        color="blue"
+        display={`Root: ${rootNote}`}
+        value={rootNote}
+        options={rootOptions}
+        onChange={e => setRootNote(e.target.value)}
+        disabled={gameStarted}
+        ariaLabel="Root Note"
+      />
+    ),
+    scaleType: () => (
+      <TagMenu
+        color="blue"
+        display={`Scale: ${scaleType}`}
+        value={scaleType}
+        options={scaleOptions}
+        onChange={e => (e.target.value === EDIT_SCALE_OPTION ? onEditScale() : setScaleType(e.target.value))}
+        disabled={gameStarted}
+        ariaLabel="Scale Type"
+      />
+    ),
+    scalePosition: () => (
+      <TagMenu
+        color="blue"
+        display={`Position: ${positionLabel}`}
+        value={scalePosition}
+        options={positionOptions}
+        onChange={e => setScalePosition(e.target.value)}
+        disabled={gameStarted}
+        ariaLabel="Scale Position"
+      />
+    ),
+    scaleRun: () => (
+      <TagMenu
+        color="blue"
+        display={`Order: ${SCALE_RUN_PATTERNS[scaleRun]}`}
+        value={scaleRun}
+        options={Object.entries(SCALE_RUN_PATTERNS).map(([value, label]) => ({ value, label }))}
+        onChange={e => setScaleRun(e.target.value)}
+        disabled={gameStarted}
+        ariaLabel="Scale Run Order"
+      />
+    ),
+    chordProgression: () => (
+      <TagMenu
+        color="blue"
+        display={chordProgression === 'single' ? 'Single chord' : chordProgression}
+        value={chordProgression}
+        options={progressionOptions}
+        onChange={e => setChordProgression(e.target.value)}
+        disabled={gameStarted}
+        ariaLabel="Chord Progression"
+      />
+    ),
+    chordRoot: () => (
+      <TagMenu
+        color="blue"
+        display={`${chordProgression === 'single' ? 'Root' : 'Key'}: ${rootNote}`}
+        value={rootNote}
+        options={rootOptions}
+        onChange={e => setRootNote(e.target.value)}
+        disabled={gameStarted}
+        ariaLabel={chordProgression === 'single' ? 'Chord Root' : 'Key'}
+      />
+    ),
+    // A progression names its own chords
+    chordType: () => chordProgression === 'single' && (
+      <TagMenu
+        color="blue"
+        display={`Chord: ${getChordSymbol(rootNote, chordType)}`}
+        value={chordType}
+        options={chordOptions}
+        onChange={e => setChordType(e.target.value)}
+        disabled={gameStarted}
+        ariaLabel="Chord Type"
+      />
+    ),
+    intervalKeys: () => (
+      <TagMenu
+        color="blue"
+        display={`Intervals: ${intervalKeys.length ? intervalKeys.join(' ') : 'none'}`}
+        value={intervalKeys}
+        options={intervalOptions}
+        onChange={e => setIntervalKeys(Object.keys(INTERVALS).filter(k => e.target.value.includes(k)))}
+        disabled={gameStarted}
+        ariaLabel="Intervals"
+        multiple
+      />
+    ),
+    intervalTarget: () => (
+      <TagMenu
+        color="blue"
+        display={intervalTarget === 'all' ? 'Find: Every one' : 'Find: One above'}
+        value={intervalTarget}
+        options={intervalTargetOptions}
+        onChange={e => setIntervalTarget(e.target.value)}
+        disabled={gameStarted}
+        ariaLabel="Interval Target"
+      />
+    ),
+    earDifficulty: () => (
+      <TagMenu
+        color="blue"
+        display={`Difficulty: ${EAR_DIFFICULTIES[earDifficulty].label}`}
+        value={earDifficulty}
+        options={earDifficultyOptions}
+        onChange={e => setEarDifficulty(e.target.value)}
+        disabled={gameStarted}
+        ariaLabel="Ear Training Difficulty"
+      />
+    ),
+    earReference: () => (
+      <TagToggle
+        color="blue"
+        active={isEarReferenceOn}
+        text="Reference A"
+        onClick={() => setIsEarReferenceOn(!isEarReferenceOn)}
+      />
+    ),
+    rhythmBpm: () => (
+      <TagMenu
+        color="blue"
+        display={`${rhythmBpm} BPM`}
+        value={rhythmBpm}
+        options={RHYTHM_BPM_OPTIONS.map(bpm => ({ value: bpm, label: `${bpm} BPM` }))}
+        onChange={e => setRhythmBpm(Number(e.target.value))}
+        disabled={gameStarted}
+        ariaLabel="Tempo"
+      />
+    ),
+    rhythmBeats: () => (
+      <TagMenu
+        color="blue"
+        display={`Within ${rhythmBeats} beat${rhythmBeats === 1 ? '' : 's'}`}
+        value={rhythmBeats}
+        options={RHYTHM_BEAT_OPTIONS.map(n => ({ value: n, label: `${n} beat${n === 1 ? '' : 's'} per note` }))}
+        onChange={e => setRhythmBeats(Number(e.target.value))}
+        disabled={gameStarted}
+        ariaLabel="Beats per note"
+      />
+    ),
+    rhythmRamp: () => (
+      <TagToggle
+        color="blue"
+        active={isRhythmRampOn}
+        text={`Tempo Ramp (+${RHYTHM_RAMP_STEP} per ${RHYTHM_RAMP_EVERY} clean)`}
+        onClick={() => setIsRhythmRampOn(!isRhythmRampOn)}
+        disabled={gameStarted}
+      />
+    ),
+    // Naturals-only rounds have no accidentals to spell
+    noteSpelling: () => !isWholeNotesMode && (
+      <TagMenu
+        color="blue"
+        display={`Spelling: ${noteSpelling[0].toUpperCase()}${noteSpelling.slice(1)}`}
+        value={noteSpelling}
+        options={spellingOptions}
+        onChange={e => setNoteSpelling(e.target.value)}
+        disabled={gameStarted}
+        ariaLabel="Note Spelling"
+      />
+    ),
+    queueStrategy: () => (
+      <TagMenu
+        color="blue"
+        display={queueStrategy === 'adaptive' ? 'Queue: Adaptive' : 'Queue: Shuffle'}
+        value={queueStrategy}
+        options={queueOptions}
+        onChange={e => setQueueStrategy(e.target.value)}
+        disabled={gameStarted}
+        ariaLabel="Queue Strategy"
+      />
+    ),
+    naturals: () => (
+      <TagToggle
+        color="blue"
+        active={isWholeNotesMode}
+        text="Natural Notes Only"
+        onClick={() => !gameStarted && setIsWholeNotesMode(!isWholeNotesMode)}
+        disabled={gameStarted}
+      />
+    ),
+  };
 
   return (
     <div className="flex items-center justify-between mb-4 px-2 py-3 bg-slate-900/50 rounded-xl border border-slate-700">
       <div className="flex items-center gap-2">
         <h1 className="text-xl font-bold text-white pl-2">FretBoarder</h1>
-        <span className={`ml-1 inline-flex items-center gap-1.5 text-xs px-3 py-1.5 rounded-full border-2 ${audioReady ? 'border-green-500 text-green-400' : 'border-slate-600 text-slate-400'} bg-slate-900/50`}>
-          <span className={`w-2 h-2 rounded-full ${audioReady ? 'bg-green-500' : 'bg-slate-500'}`}></span>
-          Audio
+        <button
+          type="button"
+          onClick={onShowStats}
+          className="ml-1 inline-flex items-center gap-1.5 text-xs px-3 py-1.5 rounded-full border-2 border-cyan-500 text-cyan-400 bg-slate-900/50 hover:brightness-110"
+        >
+          📊 Stats
+        </button>
+        <button
+          type="button"
+          onClick={onShowDaily}
+          className="inline-flex items-center gap-1.5 text-xs px-3 py-1.5 rounded-full border-2 border-amber-500 text-amber-400 bg-slate-900/50 hover:brightness-110"
+        >
+          📅 Daily
+        </button>
+        <button
+          type="button"
+          onClick={onShowReplay}
+          className="inline-flex items-center gap-1.5 text-xs px-3 py-1.5 rounded-full border-2 border-fuchsia-500 text-fuchsia-400 bg-slate-900/50 hover:brightness-110"
+        >
+          🎬 Replay
+        </button>
+        <button
+          type="button"
+          onClick={onCopyLink}
+          title="Copy a link that opens this exact drill"
+          className={`inline-flex items-center gap-1.5 text-xs px-3 py-1.5 rounded-full border-2 ${linkStatus === 'copied' ? 'border-green-500 text-green-400' : 'border-cyan-500 text-cyan-400'} bg-slate-900/50 hover:brightness-110`}
+        >
+          {linkStatus === 'copied' ? '✓ Link Copied' : '🔗 Copy Link'}
+        </button>
+        <span
+          title={audioSource ? `${SAMPLE_PACKS[audioSource.pack].label}: ${audioSource.source === 'synth' ? 'samples unavailable, using synth' : `samples from ${SAMPLE_SOURCE_LABELS[audioSource.source]}`}` : 'Audio starts on Play or Test Beep'}
+          className={`ml-1 inline-flex items-center gap-1.5 text-xs px-3 py-1.5 rounded-full border-2 ${audioPill} bg-slate-900/50`}
+        >
+          <span className={`w-2 h-2 rounded-full ${audioDot}`}></span>
+          Audio{audioSource && `: ${SAMPLE_SOURCE_LABELS[audioSource.source]}`}
         </span>
+        {inputMode === 'mic' && (
+          <span
+            title={micStatus === 'error' ? 'Microphone unavailable or permission denied' : `Microphone: ${micStatus}`}
+            className={`inline-flex items-center gap-1.5 text-xs px-3 py-1.5 rounded-full border-2 ${micPill} bg-slate-900/50`}
+          >
+            <span className={`w-2 h-2 rounded-full ${micDot}`}></span>
+            Mic
+          </span>
+        )}
+        {inputMode === 'midi' && (
+          <span
+            title={midiStatus === 'error' ? 'Web MIDI unavailable or permission denied' : midiStatus === 'connected' ? `MIDI: ${midiDeviceName}` : 'MIDI: no device connected'}
+            className={`inline-flex items-center gap-1.5 text-xs px-3 py-1.5 rounded-full border-2 ${midiPill} bg-slate-900/50`}
+          >
+            <span className={`w-2 h-2 rounded-full ${midiDot}`}></span>
+            MIDI
+          </span>
+        )}
       </div>
 
       <div className="flex items-center gap-2 flex-wrap justify-end">
@@ -525,9 +1058,29 @@ const Toolbar = ({ instrument, setInstrument, gameMode, setGameMode, rootNote, s
           ariaLabel="Instrument"
         />
 
+        <TagMenu
+          color="violet"
+          display={`Tuning: ${tuningName}`}
+          value={tuningName}
+          options={tuningOptions}
+          onChange={e => (e.target.value === EDIT_TUNING_OPTION ? onEditTuning() : setTuningName(e.target.value))}
+          disabled={gameStarted}
+          ariaLabel="Tuning"
+        />
+
+        <TagMenu
+          color="violet"
+          display={`Frets: ${fretCount}`}
+          value={fretCount}
+          options={fretCountOptions}
+          onChange={e => setFretCount(Number(e.target.value))}
+          disabled={gameStarted}
+          ariaLabel="Fret Count"
+        />
+
         <TagMenu
           color="cyan"
-          display={gameMode === 'findNote' ? '🎯 Note Cycle' : '🎼 Scale Drill'}
+          display={getGameMode(gameMode).label}
           value={gameMode}
           options={modeOptions}
           onChange={e => setGameMode(e.target.value)}
@@ -535,35 +1088,47 @@ const Toolbar = ({ instrument, setInstrument, gameMode, setGameMode, rootNote, s
           ariaLabel="Mode"
         />
 
-        {gameMode === 'scaleDrill' && (
+        {getGameMode(gameMode).controls.filter(id => modeControls[id]).map(id => <React.Fragment key={id}>{modeControls[id]()}</React.Fragment>)}
+
+        <TagMenu
+          color="green"
+          display={inputDisplay}
+          value={inputMode}
+          options={inputOptions}
+          onChange={e => setInputMode(e.target.value)}
+          disabled={gameStarted}
+          ariaLabel="Input Mode"
+        />
+
+        {inputMode === 'midi' && (
           <>
             <TagMenu
-              color="blue"
-              display={`Root: ${rootNote}`}
-              value={rootNote}
-              options={rootOptions}
-              onChange={e => setRootNote(e.target.value)}
-              disabled={gameStarted}
-              ariaLabel="Root Note"
+              color="green"
+              display={midiDeviceName ? `Device: ${midiDeviceName}` : 'No MIDI devices'}
+              value={midiDeviceId}
+              options={midiDeviceOptions}
+              onChange={e => setMidiDeviceId(e.target.value)}
+              disabled={gameStarted || midiDeviceOptions.length === 0}
+              ariaLabel="MIDI Device"
             />
             <TagMenu
-              color="blue"
-              display={`Scale: ${scaleType}`}
-              value={scaleType}
-              options={scaleOptions}
-              onChange={e => setScaleType(e.target.value)}
+              color="green"
+              display={MIDI_LAYOUTS[midiLayout]}
+              value={midiLayout}
+              options={midiLayoutOptions}
+              onChange={e => setMidiLayout(e.target.value)}
               disabled={gameStarted}
-              ariaLabel="Scale Type"
+              ariaLabel="MIDI Controller Type"
             />
           </>
         )}
 
-        {gameMode === 'findNote' && (
+        {(inputMode === 'mic' || (inputMode === 'midi' && midiLayout === 'keyboard')) && (
           <TagToggle
-            color="blue"
-            active={isWholeNotesMode}
-            text="Natural Notes Only"
-            onClick={() => !gameStarted && setIsWholeNotesMode(!isWholeNotesMode)}
+            color="green"
+            active={isOctaveExact}
+            text="Octave Exact"
+            onClick={() => !gameStarted && setIsOctaveExact(!isOctaveExact)}
             disabled={gameStarted}
           />
         )}
@@ -572,35 +1137,508 @@ const Toolbar = ({ instrument, setInstrument, gameMode, setGameMode, rootNote, s
   );
 };
 
-const Fret = ({ stringIndex, fretIndex, note, handleFretClick, foundFrets, flashFret, shakeFret, revealedFrets, fretRange, isReviewing, isPracticeMode, notesToFind, isWholeNotesMode }) => {
+// --- Tuning editor: per-string open pitches, variable string count ---
+const TuningEditor = ({ instrument, initialName, initialTuning, customTunings, onSave, onDelete, onClose }) => {
+  const presetNames = Object.keys(INSTRUMENTS[instrument].tunings);
+  const isCustom = !!(customTunings[instrument] && customTunings[instrument][initialName]);
+  const [name, setName] = useState(isCustom ? initialName : '');
+  const [strings, setStrings] = useState(() => initialTuning.map(pitchToMidi));
+
+  const trimmedName = name.trim();
+  const nameError = !trimmedName
+    ? 'Give your tuning a name.'
+    : presetNames.includes(trimmedName) ? 'That name is used by a preset.' : '';
+
+  // Open strings stay between C0 and C8
+  const clampMidi = (midi) => Math.max(12, Math.min(108, midi));
+  const shiftString = (index, delta) => {
+    setStrings(prev => prev.map((midi, i) => (i === index ? clampMidi(midi + delta) : midi)));
+  };
+  const removeString = (index) => {
+    setStrings(prev => (prev.length > MIN_STRINGS ? prev.filter((_, i) => i !== index) : prev));
+  };
+  // New strings default to a fourth above the top string / below the bottom string
+  const addString = (where) => {
+    setStrings(prev => {
+      if (prev.length >= MAX_STRINGS) return prev;
+      return where === 'top' ? [clampMidi(prev[0] + 5), ...prev] : [...prev, clampMidi(prev[prev.length - 1] - 5)];
+    });
+  };
+
+  const smallButton = 'inline-flex items-center justify-center text-xs px-2.5 py-1 rounded-full border-2 border-slate-600 text-slate-300 bg-slate-900/50 hover:brightness-125 disabled:opacity-40';
+
+  return (
+    <div className="mb-4 p-4 bg-slate-900/50 rounded-xl border border-violet-500/60 space-y-3">
+      <div className="flex items-center justify-between">
+        <h2 className="text-sm font-bold text-violet-400 uppercase tracking-wider">{instrument} Tuning Editor</h2>
+        <button type="button" onClick={onClose} className={smallButton}>Close</button>
+      </div>
+
+      <div className="flex items-center gap-2">
+        <button type="button" onClick={() => addString('top')} disabled={strings.length >= MAX_STRINGS} className={smallButton}>+ String on top</button>
+        <span className="text-xs text-slate-500">{strings.length} strings</span>
+      </div>
+
+      <div className="space-y-1">
+        {strings.map((midi, i) => (
+          <div key={`tuning-string-${i}`} className="flex items-center gap-2">
+            <span className="w-20 text-xs text-slate-400">String {i + 1}</span>
+            <button type="button" onClick={() => shiftString(i, -12)} className={smallButton} aria-label={`String ${i + 1} down an octave`}>−8va</button>
+            <button type="button" onClick={() => shiftString(i, -1)} className={smallButton} aria-label={`String ${i + 1} down a semitone`}>−</button>
+            <span className="w-12 text-center font-bold text-blue-400">{midiToPitch(midi)}</span>
+            <button type="button" onClick={() => shiftString(i, 1)} className={smallButton} aria-label={`String ${i + 1} up a semitone`}>+</button>
+            <button type="button" onClick={() => shiftString(i, 12)} className={smallButton} aria-label={`String ${i + 1} up an octave`}>+8va</button>
+            <button type="button" onClick={() => removeString(i)} disabled={strings.length <= MIN_STRINGS} className={`${smallButton} ml-2`} aria-label={`Remove string ${i + 1}`}>✕</button>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center gap-2">
+        <button type="button" onClick={() => addString('bottom')} disabled={strings.length >= MAX_STRINGS} className={smallButton}>+ String on bottom</button>
+      </div>
+
+      <div className="flex items-center gap-2 flex-wrap">
+        <input
+          type="text"
+          value={name}
+          onChange={e => setName(e.target.value)}
+          placeholder="Tuning name"
+          aria-label="Tuning name"
+          className="text-sm px-3 py-1.5 rounded-full border-2 border-slate-600 bg-slate-900/50 text-slate-200 focus:outline-none focus:border-violet-500"
+        />
+        <button
+          type="button"
+          disabled={!!nameError}
+          onClick={() => onSave(trimmedName, strings.map(midiToPitch))}
+          className="inline-flex items-center text-xs px-3 py-1.5 rounded-full border-2 border-green-500 text-green-400 bg-slate-900/50 disabled:opacity-40"
+        >
+          Save &amp; use
+        </button>
+        {isCustom && (
+          <button
+            type="button"
+            onClick={() => onDelete(initialName)}
+            className="inline-flex items-center text-xs px-3 py-1.5 rounded-full border-2 border-red-500 text-red-400 bg-slate-900/50"
+          >
+            Delete
+          </button>
+        )}
+        {nameError && <span className="text-xs text-slate-500">{nameError}</span>}
+      </div>
+    </div>
+  );
+};
+
+// --- Scale editor: intervals or a step pattern, previewed from the current root ---
+const ScaleEditor = ({ rootNote, initialName, initialIntervals, customScales, onSave, onDelete, onClose }) => {
+  const isCustom = !!customScales[initialName];
+  const [name, setName] = useState(isCustom ? initialName : '');
+  const [pattern, setPattern] = useState(() => formatScaleSteps(initialIntervals));
+
+  const trimmedName = name.trim();
+  const nameError = !trimmedName
+    ? 'Give your scale a name.'
+    : getScaleOptions()[trimmedName] ? 'That name is used by a preset.' : '';
+  let intervals = null;
+  let patternError = '';
+  try {
+    intervals = parseScalePattern(pattern);
+  } catch (e) {
+    patternError = e.message;
+  }
+
+  const smallButton = 'inline-flex items-center justify-center text-xs px-2.5 py-1 rounded-full border-2 border-slate-600 text-slate-300 bg-slate-900/50 hover:brightness-125 disabled:opacity-40';
+
+  return (
+    <div className="mb-4 p-4 bg-slate-900/50 rounded-xl border border-blue-500/60 space-y-3">
+      <div className="flex items-center justify-between">
+        <h2 className="text-sm font-bold text-blue-400 uppercase tracking-wider">Scale Editor</h2>
+        <button type="button" onClick={onClose} className={smallButton}>Close</button>
+      </div>
+
+      <p className="text-xs text-slate-400">
+        Steps like <span className="text-slate-200">W-W-H-W-W-W-H</span> (W = whole, H = half, or a number of semitones),
+        or intervals like <span className="text-slate-200">1 2 b3 4 5 b6 7</span>.
+      </p>
+
+      <input
+        type="text"
+        value={pattern}
+        onChange={e => setPattern(e.target.value)}
+        placeholder="W-W-H-W-W-W-H"
+        aria-label="Scale steps or intervals"
+        className="w-full text-sm px-3 py-1.5 rounded-full border-2 border-slate-600 bg-slate-900/50 text-slate-200 focus:outline-none focus:border-blue-500"
+      />
+      <div className="text-xs">
+        {intervals ? (
+          <span className="text-slate-300">
+            {formatScaleSteps(intervals)} · from {rootNote}: <span className="font-bold text-blue-400">{getNotesInScale(rootNote, intervals).join(' ')}</span>
+          </span>
+        ) : (
+          <span className="text-red-400">{patternError}</span>
+        )}
+      </div>
+
+      <div className="flex items-center gap-2 flex-wrap">
+        <input
+          type="text"
+          value={name}
+          onChange={e => setName(e.target.value)}
+          placeholder="Scale name"
+          aria-label="Scale name"
+          className="text-sm px-3 py-1.5 rounded-full border-2 border-slate-600 bg-slate-900/50 text-slate-200 focus:outline-none focus:border-blue-500"
+        />
+        <button
+          type="button"
+          disabled={!!nameError || !intervals}
+          onClick={() => onSave(trimmedName, intervals)}
+          className="inline-flex items-center text-xs px-3 py-1.5 rounded-full border-2 border-green-500 text-green-400 bg-slate-900/50 disabled:opacity-40"
+        >
+          Save &amp; use
+        </button>
+        {isCustom && (
+          <button
+            type="button"
+            onClick={() => onDelete(initialName)}
+            className="inline-flex items-center text-xs px-3 py-1.5 rounded-full border-2 border-red-500 text-red-400 bg-slate-900/50"
+          >
+            Delete
+          </button>
+        )}
+        {nameError && <span className="text-xs text-slate-500">{nameError}</span>}
+      </div>
+    </div>
+  );
+};
+
+// --- Stats view: accuracy and median response time per note, string and fret region ---
+const StatsPanel = ({ history, instrument, playerName, setPlayerName, onClear, onClose }) => {
+  const players = useMemo(() => [...new Set([playerName, ...history.map(r => r.player).filter(Boolean)])], [history, playerName]);
+  const [viewPlayer, setViewPlayer] = useState(playerName);
+  const [viewInstrument, setViewInstrument] = useState(instrument);
+  const [draftName, setDraftName] = useState(playerName);
+
+  const records = useMemo(() => history.filter(r =>
+    (viewPlayer === '__all__' || r.player === viewPlayer) &&
+    (viewInstrument === '__all__' || r.instrument === viewInstrument)
+  ), [history, viewPlayer, viewInstrument]);
+
+  const sections = useMemo(() => [
+    {
+      title: 'By Note',
+      // Records saved before targets were normalized may still spell a note with a flat
+      rows: summarizeGuesses(records, r => (r.targetNote ? toPitchClass(r.targetNote) : null)).sort((a, b) => NOTE_TO_INDEX[a.key] - NOTE_TO_INDEX[b.key]),
+    },
+    {
+      title: 'By String',
+      rows: summarizeGuesses(records, r => (r.stringIndex == null ? null : `${r.stringIndex + 1} (${r.openPitch || '?'})`))
+        .sort((a, b) => parseInt(a.key, 10) - parseInt(b.key, 10)),
+    },
+    {
+      title: 'By Fret Region',
+      rows: summarizeGuesses(records, r => (r.fretIndex == null ? null : getFretRegionLabel(r.fretIndex)))
+        .sort((a, b) => (parseInt(a.key, 10) || 0) - (parseInt(b.key, 10) || 0)),
+    },
+  ], [records]);
+
+  const overall = summarizeGuesses(records, () => 'all')[0];
+  const smallButton = 'inline-flex items-center text-xs px-3 py-1.5 rounded-full border-2 bg-slate-900/50';
+
+  return (
+    <div className="mb-4 p-4 bg-slate-900/50 rounded-xl border border-cyan-500/60 space-y-4">
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <h2 className="text-sm font-bold text-cyan-400 uppercase tracking-wider">Practice Stats</h2>
+        <div className="flex items-center gap-2 flex-wrap">
+          <TagMenu
+            color="cyan"
+            display={`Player: ${viewPlayer === '__all__' ? 'Everyone' : viewPlayer}`}
+            value={viewPlayer}
+            options={[{ value: '__all__', label: 'Everyone' }, ...players.map(p => ({ value: p, label: p }))]}
+            onChange={e => setViewPlayer(e.target.value)}
+            ariaLabel="Stats Player"
+          />
+          <TagMenu
+            color="cyan"
+            display={`Instrument: ${viewInstrument === '__all__' ? 'All' : viewInstrument}`}
+            value={viewInstrument}
+            options={[{ value: '__all__', label: 'All' }, ...Object.keys(INSTRUMENTS).map(i => ({ value: i, label: i }))]}
+            onChange={e => setViewInstrument(e.target.value)}
+            ariaLabel="Stats Instrument"
+          />
+          <button type="button" onClick={onClose} className={`${smallButton} border-slate-600 text-slate-300`}>Close</button>
+        </div>
+      </div>
+
+      <div className="flex items-center gap-2 flex-wrap text-xs text-slate-400">
+        <span>Recording as</span>
+        <input
+          type="text"
+          value={draftName}
+          onChange={e => setDraftName(e.target.value)}
+          onBlur={() => draftName.trim() && setPlayerName(draftName.trim())}
+          onKeyDown={e => { if (e.key === 'Enter' && draftName.trim()) setPlayerName(draftName.trim()); }}
+          aria-label="Player name"
+          className="text-sm px-3 py-1 rounded-full border-2 border-slate-600 bg-slate-900/50 text-slate-200 focus:outline-none focus:border-cyan-500"
+        />
+        {overall && (
+          <span className="ml-auto">
+            {overall.attempts} guesses · {Math.round(overall.accuracy * 100)}% correct · median {overall.medianMs != null ? `${(overall.medianMs / 1000).toFixed(2)}s` : '–'}
+          </span>
+        )}
+      </div>
+
+      {records.length === 0 ? (
+        <p className="text-sm text-slate-500">No guesses recorded yet. Timed rounds (not Practice) are saved on this device.</p>
+      ) : (
+        <div className="grid gap-4 md:grid-cols-3">
+          {sections.map(section => (
+            <div key={section.title}>
+              <h3 className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">{section.title}</h3>
+              <table className="w-full text-xs text-slate-300">
+                <thead>
+                  <tr className="text-slate-500">
+                    <th className="text-left font-medium">{section.title.replace('By ', '')}</th>
+                    <th className="text-right font-medium">Tries</th>
+                    <th className="text-left font-medium pl-2">Accuracy</th>
+                    <th className="text-right font-medium">Median</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {section.rows.map(row => (
+                    <tr key={row.key}>
+                      <td className="py-0.5 font-bold text-blue-400">{row.key}</td>
+                      <td className="text-right">{row.attempts}</td>
+                      <td className="pl-2">
+                        <div className="flex items-center gap-1">
+                          <div className="h-1.5 w-16 bg-slate-700 rounded-full overflow-hidden">
+                            <div className={`h-full ${row.accuracy >= 0.9 ? 'bg-green-500' : row.accuracy >= 0.7 ? 'bg-amber-500' : 'bg-red-500'}`} style={{ width: `${row.accuracy * 100}%` }}></div>
+                          </div>
+                          {Math.round(row.accuracy * 100)}%
+                        </div>
+                      </td>
+                      <td className="text-right">{row.medianMs != null ? `${(row.medianMs / 1000).toFixed(2)}s` : '–'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex justify-end">
+        <button
+          type="button"
+          onClick={() => window.confirm('Delete all recorded guesses on this device?') && onClear()}
+          className={`${smallButton} border-red-500 text-red-400`}
+        >
+          Clear history
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// --- Daily Challenge panel: today's drill, streaks and a month calendar of finished days ---
+const WEEKDAY_LABELS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+
+const DailyPanel = ({ byDay, playerName, todayKey, onPlay, gameStarted, onClose }) => {
+  const challenge = useMemo(() => getDailyChallenge(todayKey), [todayKey]);
+  const streaks = useMemo(() => computeDailyStreaks(byDay, todayKey), [byDay, todayKey]);
+  const [month, setMonth] = useState(() => todayKey.slice(0, 7));
+
+  const [year, monthIndex] = month.split('-').map(Number);
+  const firstDay = new Date(year, monthIndex - 1, 1);
+  const daysInMonth = new Date(year, monthIndex, 0).getDate();
+  const leadingBlanks = (firstDay.getDay() + 6) % 7; // weeks start on Monday
+  const monthLabel = firstDay.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+  const shiftMonth = (delta) => setMonth(getDateKey(new Date(year, monthIndex - 1 + delta, 1)).slice(0, 7));
+  const today = byDay[todayKey];
+  const smallButton = 'inline-flex items-center text-xs px-3 py-1.5 rounded-full border-2 bg-slate-900/50';
+
+  return (
+    <div className="mb-4 p-4 bg-slate-900/50 rounded-xl border border-amber-500/60 space-y-4">
+      <div className="flex items-center justify-between gap-2 flex-wrap">
+        <h2 className="text-sm font-bold text-amber-400 uppercase tracking-wider">Daily Challenge · {todayKey}</h2>
+        <button type="button" onClick={onClose} className={`${smallButton} border-slate-600 text-slate-300`}>Close</button>
+      </div>
+
+      <div className="flex items-center gap-3 flex-wrap text-sm">
+        <span className="text-slate-300">
+          {challenge.instrument} · {getGameMode(challenge.gameMode).label} · frets {challenge.fretRange[0]}–{challenge.fretRange[1]}
+        </span>
+        <button
+          type="button"
+          onClick={() => onPlay(challenge)}
+          disabled={gameStarted}
+          className={`${smallButton} border-amber-500 text-amber-400 hover:brightness-110 disabled:opacity-50`}
+        >
+          {today ? '▶ Play Again' : '▶ Play Today'}
+        </button>
+        <span className="ml-auto text-xs text-slate-400">
+          {today ? `Best today: ${today.time.toFixed(2)}s` : 'Not played yet today'} · Streak {streaks.current} · Longest {streaks.best}
+        </span>
+      </div>
+
+      <div className="max-w-xs">
+        <div className="flex items-center justify-between text-xs text-slate-400 mb-2">
+          <button type="button" onClick={() => shiftMonth(-1)} aria-label="Previous month" className="px-2 hover:text-white">‹</button>
+          <span>{monthLabel}</span>
+          <button type="button" onClick={() => shiftMonth(1)} aria-label="Next month" className="px-2 hover:text-white">›</button>
+        </div>
+        <div className="grid grid-cols-7 gap-1 text-center text-[10px]">
+          {WEEKDAY_LABELS.map(label => <span key={label} className="text-slate-500">{label}</span>)}
+          {Array.from({ length: leadingBlanks }, (_, i) => <span key={`blank-${i}`}></span>)}
+          {Array.from({ length: daysInMonth }, (_, i) => {
+            const dateKey = `${month}-${String(i + 1).padStart(2, '0')}`;
+            const result = byDay[dateKey];
+            return (
+              <span
+                key={dateKey}
+                title={result ? `${dateKey}: ${result.time.toFixed(2)}s (${result.attempts}×)` : dateKey}
+                className={`py-1 rounded ${result ? 'bg-amber-500/80 text-slate-900 font-bold' : 'bg-slate-800 text-slate-500'} ${dateKey === todayKey ? 'ring-1 ring-amber-300' : ''}`}
+              >
+                {i + 1}
+              </span>
+            );
+          })}
+        </div>
+      </div>
+
+      <p className="text-xs text-slate-500">Everyone gets the same drill each day. Results for {playerName} are kept on this device only.</p>
+    </div>
+  );
+};
+
+// Window-wide key handlers stay out of the way while the player types into a form control
+const isEditableTarget = (target) => !!target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable);
+
+// --- Note picker for Name That Note: click a name or type it (letter, then # or b) ---
+const TYPED_NOTE_COMMIT_MS = 700;
+
+const NotePicker = ({ onAnswer, disabled, isWholeNotesMode }) => {
+  const [pending, setPending] = useState('');
+  const notes = isWholeNotesMode ? WHOLE_NOTES : ALL_NOTES;
+
+  // Keyboard entry: a letter waits briefly for an accidental; Enter commits right away. While a letter
+  // waits, 'b' (or '-') flattens it, except after C and F: there is no Cb or Fb key, so that 'b' is the note B
+  useEffect(() => {
+    if (disabled) { setPending(''); return; }
+    const onKey = (e) => {
+      if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isEditableTarget(e.target)) return;
+      const key = e.key;
+      const isFlat = key === '-' || (key === 'b' && !['C', 'F'].includes(pending));
+      if (pending && (key === '#' || isFlat)) {
+        onAnswer(pending + (key === '#' ? '#' : 'b'));
+        setPending('');
+      } else if (/^[a-gA-G]$/.test(key)) {
+        if (pending) onAnswer(pending);
+        if (isWholeNotesMode) { onAnswer(key.toUpperCase()); setPending(''); }
+        else setPending(key.toUpperCase());
+      } else if (key === 'Enter' && pending) {
+        onAnswer(pending);
+        setPending('');
+      }
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, [pending, disabled, isWholeNotesMode, onAnswer]);
+
+  useEffect(() => {
+    if (!pending) return;
+    const timerId = setTimeout(() => { onAnswer(pending); setPending(''); }, TYPED_NOTE_COMMIT_MS);
+    return () => clearTimeout(timerId);
+  }, [pending, onAnswer]);
+
+  return (
+    <div className="flex items-center justify-center gap-2 flex-wrap" role="group" aria-label="Note picker" aria-describedby="note-picker-keys">
+      {[...notes].sort((a, b) => NOTE_TO_INDEX[a] - NOTE_TO_INDEX[b]).map(note => {
+        const flat = spellPitchClass(note, 'flats');
+        const label = flat !== note ? `${note}/${flat}` : note;
+        return (
+          <button
+            key={note}
+            type="button"
+            disabled={disabled}
+            onClick={() => onAnswer(note)}
+            className={`min-w-[3rem] text-sm font-bold px-3 py-2 rounded-xl border-2 bg-slate-900/50 transition disabled:opacity-40 ${pending && toPitchClass(pending) === note ? 'border-blue-400 text-blue-300' : 'border-slate-600 text-slate-200 hover:border-blue-500'}`}
+          >
+            {label}
+          </button>
+        );
+      })}
+      <span id="note-picker-keys" className="text-xs text-slate-500 w-28 text-center" title="Type a letter, then # or b for a sharp or flat (Bb, D#); Enter answers at once">
+        {pending ? `${pending}…` : 'or type, e.g. Bb'}
+      </span>
+    </div>
+  );
+};
+
+const Fret = ({ stringIndex, fretIndex, note, handleFretClick, foundFrets, flashFret, shakeFret, revealedFrets, fretRange, isReviewing, isPracticeMode, notesToFind, targetFrets = [], referenceFret, chordDegrees, positionShape, isWholeNotesMode, heatmap, gameStarted, isActiveCell, setActiveCell }) => {
   const fretKey = getFretKey(stringIndex, fretIndex);
   const isFound = foundFrets.includes(fretKey);
   const isFlashing = flashFret === fretKey;
   const isShaking = shakeFret === fretKey;
   const isInRange = fretIndex >= fretRange[0] && fretIndex <= fretRange[1];
-  const isCorrectNote = notesToFind.includes(note);
+  // Modes with explicit target frets (intervals) only count those; the others match by pitch class
+  const isCorrectNote = targetFrets.length ? targetFrets.includes(fretKey) : includesPitchClass(notesToFind, note);
+  const isReference = referenceFret === fretKey;
+  const chordDegree = chordDegrees ? chordDegrees[note] : null;
   const isFretDisabled = isWholeNotesMode && !WHOLE_NOTES.includes(note);
   const isRevealed = !!(revealedFrets && revealedFrets[fretKey]);
+  const heat = heatmap ? heatmap[fretKey] : null;
+  let heatStyle;
+
+  // Practice draws the scale position's outline: each string's span, closed off where the next string's ends
+  const spans = isPracticeMode && positionShape ? positionShape.spans : null;
+  const isInSpan = (index) => !!(spans && spans[index] && fretIndex >= spans[index][0] && fretIndex <= spans[index][1]);
+  const outlineEdges = isInSpan(stringIndex) ? [
+    fretIndex === spans[stringIndex][0] && 'border-l-2',
+    fretIndex === spans[stringIndex][1] && 'border-r-2',
+    !isInSpan(stringIndex - 1) && 'border-t-2',
+    !isInSpan(stringIndex + 1) && 'border-b-2',
+  ].filter(Boolean).join(' ') : '';
 
   let dynamicClass = 'border-2 bg-slate-700 hover:bg-slate-600 border-transparent';
   if (fretIndex === 0) dynamicClass = 'bg-slate-400 border-2 border-transparent';
 
-  if (!isInRange || isFretDisabled) {
+  if (isReference) {
+    dynamicClass = 'border-2 bg-amber-600 border-amber-400 shadow-[0_0_12px_rgba(245,158,11,0.8)]';
+  } else if (!isInRange || isFretDisabled) {
     dynamicClass = 'bg-slate-800 opacity-40';
   } else if ((isReviewing || isPracticeMode) && isCorrectNote && !isFound) {
-    dynamicClass = 'border-2 bg-purple-700 border-purple-500';
+    dynamicClass = chordDegree
+      ? `border-2 ${getDegreeColor(chordDegree)} opacity-70 border-purple-500`
+      : 'border-2 bg-purple-700 border-purple-500';
   } else if (isFlashing) {
     dynamicClass = 'border-2 bg-blue-500 border-blue-400 shadow-[0_0_12px_rgba(59,130,246,0.9)]';
   } else if (isFound) {
-    dynamicClass = 'bg-green-600 border-2 border-transparent';
+    dynamicClass = `${chordDegree ? getDegreeColor(chordDegree) : 'bg-green-600'} border-2 border-transparent`;
+  }
+
+  // Heatmap tint: the whole neck between games, only plain in-range frets during one
+  const isPlainFret = !isReference && !isFound && !isFlashing && !((isReviewing || isPracticeMode) && isCorrectNote);
+  if (heat && isPlainFret && (!gameStarted || (isInRange && !isFretDisabled))) {
+    dynamicClass = 'border-2 border-transparent hover:brightness-125';
+    heatStyle = { backgroundColor: getHeatColor(heat.score) };
   }
 
+  // Screen readers hear the fret's place plus whatever the board shows on it
+  const ariaLabel = [
+    describeFret(stringIndex, fretIndex),
+    isReference && 'marked',
+    isFound && 'found',
+    !isFound && (isReviewing || isPracticeMode) && isCorrectNote && isInRange && 'target',
+    chordDegree && (isFound || ((isReviewing || isPracticeMode) && isCorrectNote)) && chordDegree,
+    isRevealed && revealedFrets[fretKey],
+  ].filter(Boolean).join(', ');
+
   const fretMarkers = () => {
-    if (fretIndex === 0) return null;
-    if ([3, 5, 7, 9].includes(fretIndex)) {
+    const marker = getFretMarker(fretIndex);
+    if (marker === 'single') {
       return <div className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 w-2.5 h-2.5 bg-blue-400 rounded-full shadow-[0_0_8px_rgba(59,130,246,0.7)]"></div>
     }
-    if (fretIndex === 12) {
+    if (marker === 'double') {
       return (
         <div className="absolute top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2 flex flex-col items-center space-y-2 sm:space-y-3">
           <svg className="w-2.5 h-2.5 text-blue-400" fill="currentColor" viewBox="0 0 20 20"><path d="M10 0L20 10L10 20L0 10L10 0Z"/></svg>
@@ -613,24 +1651,36 @@ const Fret = ({ stringIndex, fretIndex, note, handleFretClick, foundFrets, flash
 
   return (
     <div 
+      role="gridcell"
+      tabIndex={isActiveCell ? 0 : -1}
+      data-fret={fretKey}
+      aria-label={ariaLabel}
+      aria-disabled={!isInRange || isFretDisabled || undefined}
+      onFocus={() => setActiveCell({ stringIndex, fretIndex })}
       onClick={() => handleFretClick(stringIndex, fretIndex)} 
-      className={`relative w-full h-8 sm:h-10 rounded-sm cursor-pointer transition-all duration-200 ${dynamicClass} ${isShaking ? 'animate-[shake_0.3s_ease-in-out]' : ''}`}
+      className={`relative w-full h-8 sm:h-10 rounded-sm cursor-pointer transition-all duration-200 focus:outline-none focus-visible:ring-2 focus-visible:ring-cyan-400 ${dynamicClass} ${isShaking ? 'animate-[shake_0.3s_ease-in-out]' : ''}`}
+      style={heatStyle}
+      title={heat ? `${heat.attempts} tries · ${Math.round(heat.accuracy * 100)}% · ${heat.medianMs != null ? `${(heat.medianMs / 1000).toFixed(2)}s` : '–'}` : undefined}
     >
       {/* String line */}
       <div className="absolute left-0 right-0 top-1/2 -translate-y-1/2 h-px bg-slate-500/50 pointer-events-none"></div>
       {/* Nut at fret 0 */}
       {fretIndex === 0 && <div className="absolute right-0 top-0 bottom-0 w-[6px] bg-slate-300 shadow-[inset_-2px_0_4px_rgba(0,0,0,0.4)] pointer-events-none"></div>}
       {fretMarkers()}
+      {outlineEdges && <div className={`absolute -inset-0.5 border-amber-400/80 pointer-events-none ${outlineEdges}`}></div>}
+      {chordDegree && (isFound || ((isReviewing || isPracticeMode) && isCorrectNote)) && (
+        <div className="absolute inset-0 flex items-center justify-center text-[10px] font-bold text-white pointer-events-none">{chordDegree}</div>
+      )}
       {isRevealed && (
         <div className="absolute -top-5 left-1/2 -translate-x-1/2 px-2 py-0.5 rounded-full text-[10px] font-bold bg-slate-800/90 border border-slate-600 shadow text-blue-300 animate-[fadeout_0.8s_linear_forwards]">
-          {note}
+          {revealedFrets[fretKey]}
         </div>
       )}
     </div>
   );
 };
 
-const FretRangeSelector = ({ type, fretRange, handleSetFretRange, fretColumns }) => {
+const FretRangeSelector = ({ type, fretRange, handleSetFretRange, fretColumns, fretCount }) => {
   const isStart = type === 'start';
   const [start, end] = fretRange;
   
@@ -664,8 +1714,8 @@ const FretRangeSelector = ({ type, fretRange, handleSetFretRange, fretColumns })
           0
         </button>
       </div>
-      <div className="col-start-3 col-span-12 grid gap-1" style={{ gridTemplateColumns: fretColumns }}>
-        {Array.from({ length: 12 }, (_, i) => {
+      <div className="grid gap-1" style={{ gridColumn: '3 / -1', gridTemplateColumns: fretColumns }}>
+        {Array.from({ length: fretCount }, (_, i) => {
           const fretNum = i + 1;
           return (
             <button 
@@ -682,15 +1732,35 @@ const FretRangeSelector = ({ type, fretRange, handleSetFretRange, fretColumns })
   );
 };
 
+// Narrowest a fret column may get before the board scrolls horizontally
+const FRET_MIN_WIDTH = '1.75rem';
+const ZOOM_LEVELS = [1, 1.25, 1.5, 2];
 
 const Fretboard = (props) => {
-  const { fretboardLayout, tuning, progress, gameStarted, isPracticeMode } = props;
+  const { fretboardLayout, tuning, fretRange, handleFretClick, gridRef, progress, gameStarted, isPracticeMode, chordDegrees, heatmapMetric, setHeatmapMetric } = props;
+
+  const [zoom, setZoom] = useState(1);
+  const fretCount = (fretboardLayout?.[0]?.length || 1) - 1; // exclude open string
+
+  // One fret at a time is in the tab order (roving focus); it stays on the board when strings or frets go away
+  const [activeCell, setActiveCell] = useState(() => ({ stringIndex: 0, fretIndex: fretRange[0] }));
+  const active = { stringIndex: Math.min(activeCell.stringIndex, fretboardLayout.length - 1), fretIndex: Math.min(activeCell.fretIndex, fretCount) };
+
+  const onGridKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      handleFretClick(active.stringIndex, active.fretIndex);
+      return;
+    }
+    const next = moveFretFocus(active, e.key, { stringCount: fretboardLayout.length, fretCount, fretRange });
+    if (!next) return;
+    e.preventDefault();
+    setActiveCell(next);
+    e.currentTarget.querySelector(`[data-fret="${getFretKey(next.stringIndex, next.fretIndex)}"]`)?.focus();
+  };
 
   // Compute realistic fret widths (shrinking up the neck)
-  const fretColumns = React.useMemo(() => {
-    const fretCount = (fretboardLayout?.[0]?.length || 1) - 1; // exclude open string
-    return computeFretColumns(fretCount);
-  }, [fretboardLayout]);
+  const fretColumns = React.useMemo(() => computeFretColumns(fretCount, FRET_MIN_WIDTH), [fretCount]);
   
   const progressBarStyle = (gameStarted && !isPracticeMode) ? {
     backgroundImage: `linear-gradient(to right, #3b82f6 ${progress}%, #1e293b ${progress}%)`
@@ -698,30 +1768,82 @@ const Fretboard = (props) => {
 
   return (
     <div className="p-0.5 rounded-lg transition-all duration-200 bg-slate-800" style={progressBarStyle}>
-      <div className="relative overflow-x-auto p-3 bg-slate-900 rounded-lg space-y-2">
-        <FretRangeSelector type="start" {...props} fretColumns={fretColumns} />
-        <div className="grid gap-1" style={{ gridTemplateColumns: `2rem 2rem ${fretColumns}` }}>
-          <div className="col-start-1 grid gap-1" style={{gridTemplateRows: `repeat(${tuning.length}, minmax(0, 1fr))`}}>
-            {tuning.map((stringName, i) => (
-              <div key={`label-${i}`} className="flex items-center justify-center font-bold text-lg text-blue-400">{stringName}</div>
-            ))}
-          </div>
-          <div className="col-start-2 grid gap-1" style={{gridTemplateRows: `repeat(${tuning.length}, minmax(0, 1fr))`}}>
-            {fretboardLayout.map((string, stringIndex) => (
-              <Fret {...props} key={getFretKey(stringIndex, 0)} stringIndex={stringIndex} fretIndex={0} note={string[0]} />
+      <div className="relative p-3 bg-slate-900 rounded-lg">
+        <div className="flex items-center justify-end flex-wrap gap-2 mb-2 text-xs text-slate-500">
+          {chordDegrees && (
+            <div className="flex items-center gap-2 mr-auto" aria-label="Chord degree colors">
+              {[...new Set(Object.values(chordDegrees))].map(degree => (
+                <span key={degree} className="inline-flex items-center gap-1">
+                  <span className={`w-3 h-3 rounded-sm ${getDegreeColor(degree)}`}></span>
+                  {degree}
+                </span>
+              ))}
+            </div>
+          )}
+          <div className="flex items-center gap-1 mr-2" role="group" aria-label="Heatmap">
+            <span>Heatmap</span>
+            {['off', 'accuracy', 'speed'].map(metric => (
+              <button
+                key={metric}
+                type="button"
+                aria-pressed={heatmapMetric === metric}
+                onClick={() => setHeatmapMetric(metric)}
+                className={`px-2 py-0.5 rounded-full border ${heatmapMetric === metric ? 'border-cyan-500 text-cyan-400' : 'border-slate-600 hover:text-white'}`}
+              >
+                {metric[0].toUpperCase() + metric.slice(1)}
+              </button>
             ))}
           </div>
-          <div className="col-start-3 col-span-12 grid gap-1" style={{gridTemplateColumns: fretColumns, gridTemplateRows: `repeat(${tuning.length}, minmax(0, 1fr))`}}>
-            {fretboardLayout.map((string, stringIndex) => (
-              <React.Fragment key={`string-${stringIndex}`}>
-                {string.slice(1).map((note, fretIndex) => (
-                  <Fret {...props} key={getFretKey(stringIndex, fretIndex + 1)} stringIndex={stringIndex} fretIndex={fretIndex + 1} note={note} />
-                ))}
-              </React.Fragment>
-            ))}
+          {heatmapMetric !== 'off' && (
+            <div className="flex items-center gap-1 mr-2" aria-label="Heatmap legend">
+              <span>{heatmapMetric === 'speed' ? 'Slow' : 'Error-prone'}</span>
+              <span className="w-16 h-2 rounded-full" style={{ backgroundImage: `linear-gradient(to right, ${getHeatColor(0)}, ${getHeatColor(0.5)}, ${getHeatColor(1)})` }}></span>
+              <span>{heatmapMetric === 'speed' ? 'Fast' : 'Accurate'}</span>
+              <span className="w-3 h-2 rounded-sm bg-slate-700 ml-1"></span>
+              <span>No data</span>
+            </div>
+          )}
+          <span>Zoom</span>
+          <button type="button" aria-label="Zoom out" disabled={zoom <= ZOOM_LEVELS[0]} onClick={() => setZoom(z => ZOOM_LEVELS[Math.max(0, ZOOM_LEVELS.indexOf(z) - 1)])} className="w-6 h-6 rounded-full border border-slate-600 hover:text-white disabled:opacity-40">−</button>
+          <span className="w-10 text-center">{Math.round(zoom * 100)}%</span>
+          <button type="button" aria-label="Zoom in" disabled={zoom >= ZOOM_LEVELS[ZOOM_LEVELS.length - 1]} onClick={() => setZoom(z => ZOOM_LEVELS[Math.min(ZOOM_LEVELS.length - 1, ZOOM_LEVELS.indexOf(z) + 1)])} className="w-6 h-6 rounded-full border border-slate-600 hover:text-white disabled:opacity-40">+</button>
+        </div>
+        <p id="fretboard-keys" className="sr-only">
+          Arrow keys move between strings and frets, Home and End jump to the ends of the fret range, and Enter or Space plays the focused fret.
+          P starts a round, Shift+P starts practice and Escape stops. In Ear Training, R plays the pitch again.
+        </p>
+        <div className="overflow-x-auto">
+          <div className="space-y-2" style={{ minWidth: `${zoom * 100}%` }}>
+            <FretRangeSelector type="start" {...props} fretColumns={fretColumns} fretCount={fretCount} />
+            {/* Each string is a grid row; `contents` lets its cells sit straight in the board's columns */}
+            <div ref={gridRef} role="grid" aria-label="Fretboard" aria-describedby="fretboard-keys" onKeyDown={onGridKeyDown} className="grid gap-1" style={{ gridTemplateColumns: `2rem 2rem ${fretColumns}` }}>
+              {fretboardLayout.map((string, stringIndex) => {
+                const openPitch = tuning[stringIndex];
+                const parsed = parsePitch(openPitch);
+                return (
+                  <div key={`string-${stringIndex}`} role="row" className="contents">
+                    <div role="rowheader" aria-label={`string ${stringIndex + 1}, ${openPitch}`} className="flex items-center justify-center font-bold text-lg text-blue-400">
+                      {parsed ? parsed.pitchClass : openPitch}
+                      {parsed && <span className="text-[10px] text-slate-500 self-end mb-1">{parsed.octave}</span>}
+                    </div>
+                    {string.map((note, fretIndex) => (
+                      <Fret
+                        {...props}
+                        key={getFretKey(stringIndex, fretIndex)}
+                        stringIndex={stringIndex}
+                        fretIndex={fretIndex}
+                        note={note}
+                        isActiveCell={active.stringIndex === stringIndex && active.fretIndex === fretIndex}
+                        setActiveCell={setActiveCell}
+                      />
+                    ))}
+                  </div>
+                );
+              })}
+            </div>
+            <FretRangeSelector type="end" {...props} fretColumns={fretColumns} fretCount={fretCount} />
           </div>
         </div>
-        <FretRangeSelector type="end" {...props} fretColumns={fretColumns} />
       </div>
     </div>
   );
@@ -729,21 +1851,148 @@ const Fretboard = (props) => {
 
 // --- Main App Component ---
 function App() {
-  const [state, dispatch] = useReducer(gameReducer, initialState);
-  const { gameStarted, isGameOver, isPracticeMode, isReviewing, timer, currentNote, notesToFind, message, foundFrets, flashFret, shakeFret, revealedFrets, totalNotesInRound, totalFretsFoundInRound } = state;
+  const [state, dispatchGame] = useReducer(gameReducer, initialState);
+  // Every action of a round is recorded with its time since START_GAME, for replays
+  const recordingRef = useRef(null);
+  const roundStartRef = useRef(0);
+  const dispatch = React.useCallback((action) => {
+    if (action.type === 'START_GAME') {
+      roundStartRef.current = performance.now();
+      recordingRef.current = [];
+      // Every round gets a seed (the Daily Challenge brings its own) so a replay rebuilds the same questions
+      if (action.payload.seed == null) action = { ...action, payload: { ...action.payload, seed: Math.floor(Math.random() * 4294967296) } };
+    } else if (action.type === 'STOP_GAME') {
+      recordingRef.current = null;
+    }
+    if (recordingRef.current && !UNRECORDED_ACTIONS.includes(action.type)) {
+      recordingRef.current.push({ t: Math.round(performance.now() - roundStartRef.current), type: action.type, payload: action.payload });
+    }
+    dispatchGame(action);
+  }, []);
+  const { gameStarted, isGameOver, isPracticeMode, isReviewing, timer, currentNote, notesToFind, message, foundFrets, flashFret, shakeFret, revealedFrets, totalNotesInRound, totalFretsFoundInRound, noteQueue, noteQueueIndex, targetFrets, referenceFret, requiredFinds, chordDegrees, positionShape, scaleRun: activeRun, rhythm, score } = state;
   
-  // UI State
-  const [instrument, setInstrument] = useState('Guitar');
-  const [fretRange, setFretRange] = useState([0, 12]);
-  const [gameMode, setGameMode] = useState('findNote');
-  const [rootNote, setRootNote] = useState('C');
-  const [scaleType, setScaleType] = useState('Major');
-  const [isWholeNotesMode, setIsWholeNotesMode] = useState(false);
+  // UI State (the drill settings start from the URL, if it carries any)
+  const [urlConfig] = useState(() => {
+    const { paramString, inHash } = readDrillConfigFromUrl();
+    return { ...decodeDrillConfig(paramString, loadCustomTunings(), loadCustomScales()), inHash };
+  });
+  const [instrument, setInstrument] = useState(urlConfig.instrument);
+  const [tuningName, setTuningName] = useState(urlConfig.tuningName);
+  const [customTunings, setCustomTunings] = useState(() => withSharedTuning(loadCustomTunings(), urlConfig));
+  const [isTuningEditorOpen, setIsTuningEditorOpen] = useState(false);
+  const [fretCount, setFretCount] = useState(urlConfig.fretCount);
+  const [fretRange, setFretRange] = useState(urlConfig.fretRange);
+  const [gameMode, setGameMode] = useState(urlConfig.gameMode);
+  const [rootNote, setRootNote] = useState(urlConfig.rootNote);
+  const [scaleType, setScaleType] = useState(urlConfig.scaleType);
+  const [scalePosition, setScalePosition] = useState(urlConfig.scalePosition);
+  const [scaleRun, setScaleRun] = useState(urlConfig.scaleRun);
+  const [customScales, setCustomScales] = useState(() => withSharedScale(loadCustomScales(), urlConfig));
+  const [isScaleEditorOpen, setIsScaleEditorOpen] = useState(false);
+  const [isWholeNotesMode, setIsWholeNotesMode] = useState(urlConfig.isWholeNotesMode);
+  const [noteSpelling, setNoteSpelling] = useState(urlConfig.noteSpelling);
+  const [queueStrategy, setQueueStrategy] = useState(urlConfig.queueStrategy);
+  const [chordType, setChordType] = useState(urlConfig.chordType);
+  const [chordProgression, setChordProgression] = useState(urlConfig.chordProgression);
+  const [earDifficulty, setEarDifficulty] = useState(urlConfig.earDifficulty);
+  const [isEarReferenceOn, setIsEarReferenceOn] = useState(urlConfig.isEarReferenceOn);
+  const [intervalKeys, setIntervalKeys] = useState(urlConfig.intervalKeys);
+  const [intervalTarget, setIntervalTarget] = useState(urlConfig.intervalTarget);
+  const [rhythmBpm, setRhythmBpm] = useState(urlConfig.rhythmBpm);
+  const [rhythmBeats, setRhythmBeats] = useState(urlConfig.rhythmBeats);
+  const [isRhythmRampOn, setIsRhythmRampOn] = useState(urlConfig.isRhythmRampOn);
+  const [linkStatus, setLinkStatus] = useState('idle');
   const [audioReady, setAudioReady] = useState(false);
+  const [audioSource, setAudioSource] = useState(null);
+  const [guessHistory, setGuessHistory] = useState(loadGuessHistory);
+  const [playerName, setPlayerName] = useState(loadPlayerName);
+  const [isStatsOpen, setIsStatsOpen] = useState(false);
+  const [isDailyOpen, setIsDailyOpen] = useState(false);
+  const [isReplayOpen, setIsReplayOpen] = useState(false);
+  const [lastRecording, setLastRecording] = useState(null);
+  // { recording, duration, elapsedMs, speed, isPlaying } while a replay is on the fretboard
+  const [replay, setReplay] = useState(null);
+  const [replayImportError, setReplayImportError] = useState('');
+  const [dailyResults, setDailyResults] = useState(loadDailyResults);
+  // Date of the Daily Challenge being played, or null for a regular round
+  const [dailyRun, setDailyRun] = useState(null);
+  const [heatmapMetric, setHeatmapMetric] = useState('off');
+  // When the current prompt appeared (question start or previous guess), for response times
+  const promptStartRef = useRef(0);
+  const [inputMode, setInputMode] = useState('click');
+  const [isOctaveExact, setIsOctaveExact] = useState(false);
+  const [micStatus, setMicStatus] = useState('off');
+  const [midiDevices, setMidiDevices] = useState([]);
+  const [midiDeviceId, setMidiDeviceId] = useState('');
+  const [midiLayout, setMidiLayout] = useState('keyboard');
+  const [midiStatus, setMidiStatus] = useState('off');
+
+  const tuning = useMemo(() => resolveTuning(instrument, tuningName, customTunings), [instrument, tuningName, customTunings]);
+
+  // Each instrument has its own sample pack; the toolbar shows where it actually loaded from
+  useEffect(() => {
+    audioEngine.onSourceChange = setAudioSource;
+    return () => { audioEngine.onSourceChange = null; };
+  }, []);
+
+  useEffect(() => {
+    audioEngine.setInstrument(instrument);
+  }, [instrument]);
 
   const fretboardLayout = useMemo(() => {
-    return generateFretboardLayout(INSTRUMENTS[instrument].tuning, INSTRUMENTS[instrument].frets);
-    }, [instrument]);
+    return generateFretboardLayout(tuning, fretCount + 1);
+    }, [tuning, fretCount]);
+
+  const handleSetFretCount = (nextFretCount) => {
+    setFretRange(fitFretRange(fretRange, fretCount, nextFretCount));
+    setFretCount(nextFretCount);
+  };
+
+  const handleSetInstrument = (nextInstrument) => {
+    setInstrument(nextInstrument);
+    handleSetFretCount(clampFretCount(nextInstrument, fretCount));
+    setTuningName(INSTRUMENTS[nextInstrument].defaultTuning);
+    setIsTuningEditorOpen(false);
+  };
+
+  const handleSaveTuning = (name, nextTuning) => {
+    const next = { ...customTunings, [instrument]: { ...(customTunings[instrument] || {}), [name]: nextTuning } };
+    setCustomTunings(next);
+    saveCustomTunings(next);
+    setTuningName(name);
+    setIsTuningEditorOpen(false);
+  };
+
+  const handleDeleteTuning = (name) => {
+    const forInstrument = { ...(customTunings[instrument] || {}) };
+    delete forInstrument[name];
+    const next = { ...customTunings, [instrument]: forInstrument };
+    setCustomTunings(next);
+    saveCustomTunings(next);
+    setTuningName(INSTRUMENTS[instrument].defaultTuning);
+    setIsTuningEditorOpen(false);
+  };
+
+  const handleSaveScale = (name, intervals) => {
+    const next = { ...customScales, [name]: intervals };
+    setCustomScales(next);
+    saveCustomScales(next);
+    setScaleType(name);
+    setIsScaleEditorOpen(false);
+  };
+
+  const handleDeleteScale = (name) => {
+    const next = { ...customScales };
+    delete next[name];
+    setCustomScales(next);
+    saveCustomScales(next);
+    setScaleType('Major');
+    setIsScaleEditorOpen(false);
+  };
+
+  // "Natural Notes Only" belongs to the note-name modes; interval, chord and ear targets may land on any fret
+  const activeMode = getGameMode(gameMode);
+  const isNaturalsOnly = isWholeNotesMode && activeMode.allowsNaturals;
 
   const progress = useMemo(() => {
     if (!gameStarted || totalNotesInRound === 0) return 0;
@@ -761,37 +2010,299 @@ function App() {
     }
   };
 
+  // Keep the URL in step with the drill settings so the address bar is always a shareable link
+  const drillConfig = { instrument, tuningName, fretCount, fretRange, gameMode, rootNote, scaleType, scalePosition, scaleRun, isWholeNotesMode, noteSpelling, queueStrategy, chordType, chordProgression, earDifficulty, isEarReferenceOn, intervalKeys, intervalTarget, rhythmBpm, rhythmBeats, isRhythmRampOn };
+  const drillParams = encodeDrillConfig(drillConfig, customTunings, customScales);
+
+  useEffect(() => {
+    writeDrillConfigToUrl(drillParams, urlConfig.inHash);
+  }, [drillParams, urlConfig.inHash]);
+
+  const applyDrillConfig = (config) => {
+    setCustomTunings(prev => withSharedTuning(prev, config));
+    setCustomScales(prev => withSharedScale(prev, config));
+    setInstrument(config.instrument);
+    setTuningName(config.tuningName);
+    setFretCount(config.fretCount);
+    setFretRange(config.fretRange);
+    setGameMode(config.gameMode);
+    setRootNote(config.rootNote);
+    setScaleType(config.scaleType);
+    setScalePosition(config.scalePosition);
+    setScaleRun(config.scaleRun);
+    setIsWholeNotesMode(config.isWholeNotesMode);
+    setNoteSpelling(config.noteSpelling);
+    setQueueStrategy(config.queueStrategy);
+    setChordType(config.chordType);
+    setChordProgression(config.chordProgression);
+    setEarDifficulty(config.earDifficulty);
+    setIsEarReferenceOn(config.isEarReferenceOn);
+    setIntervalKeys(config.intervalKeys);
+    setIntervalTarget(config.intervalTarget);
+    setRhythmBpm(config.rhythmBpm);
+    setRhythmBeats(config.rhythmBeats);
+    setIsRhythmRampOn(config.isRhythmRampOn);
+    setIsTuningEditorOpen(false);
+    setIsScaleEditorOpen(false);
+  };
+
+  // Editing the hash by hand (or following an in-page link) reconfigures the drill between rounds
+  const hashChangeRef = useRef(null);
+  hashChangeRef.current = () => {
+    const { paramString, inHash } = readDrillConfigFromUrl();
+    if (inHash && !gameStarted) applyDrillConfig(decodeDrillConfig(paramString, customTunings, customScales));
+  };
+  useEffect(() => {
+    const onHashChange = () => hashChangeRef.current();
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
+  const handleCopyLink = async () => {
+    const link = getDrillLink(drillParams);
+    try {
+      await navigator.clipboard.writeText(link);
+      setLinkStatus('copied');
+    } catch (e) {
+      console.warn('[share] Clipboard unavailable, showing the link instead', e);
+      window.prompt('Copy this drill link:', link);
+      setLinkStatus('idle');
+      return;
+    }
+    setTimeout(() => setLinkStatus('idle'), 2000);
+  };
+
+  // Adaptive weights come from this player's history on the current instrument and tuning
+  const getAdaptiveWeights = () => {
+    if (queueStrategy !== 'adaptive') return {};
+    const records = guessHistory.filter(r => r.player === playerName && r.instrument === instrument && r.tuning === tuningName);
+    const fretKeys = fretboardLayout.flatMap((string, s) => string.map((_, f) => getFretKey(s, f)));
+    return {
+      noteWeights: computeRecallWeights(records, r => (r.targetNote ? toPitchClass(r.targetNote) : null), ALL_NOTES),
+      fretWeights: computeRecallWeights(records, r => (r.fretIndex == null ? null : getFretKey(r.stringIndex, r.fretIndex)), fretKeys),
+    };
+  };
+
+  const handleStopGame = () => {
+    setDailyRun(null);
+    dispatch({ type: 'STOP_GAME' });
+  };
+
   const handleStartGame = async (isPractice = false) => {
     await audioEngine.init();
     setAudioReady(audioEngine.isInitialized);
     audioEngine.playStartSound();
-    dispatch({ type: 'START_GAME', payload: { gameMode, fretRange, rootNote, scaleType, isWholeNotesMode, isPractice, fretboardLayout } });
+    setDailyRun(null);
+    setReplay(null);
+    dispatch({ type: 'START_GAME', payload: { gameMode, fretRange, rootNote, scaleType, customScales, scalePosition, scaleRun, isWholeNotesMode: isNaturalsOnly, noteSpelling, intervalKeys, intervalTarget, chordType, chordProgression, earDifficulty, rhythmBpm, rhythmBeats, isRhythmRampOn, ...getAdaptiveWeights(), isPractice, fretboardLayout, tuning } });
   };
 
-  const handleFretClick = async (stringIndex, fretIndex) => {
+  // The daily drill is built from its own config, not the (not yet updated) toolbar state. The toolbar shows
+  // the daily settings while the round runs and gets the player's own back when it ends
+  const settingsBeforeDailyRef = useRef(null);
+  const handleStartDaily = async (challenge) => {
     await audioEngine.init();
     setAudioReady(audioEngine.isInitialized);
-    if (!gameStarted || isReviewing || fretIndex < fretRange[0] || fretIndex > fretRange[1]) return;
-    
+    audioEngine.playStartSound();
+    if (!settingsBeforeDailyRef.current) settingsBeforeDailyRef.current = drillConfig;
+    applyDrillConfig(challenge);
+    setDailyRun(challenge.dateKey);
+    setReplay(null);
+    const dailyTuning = INSTRUMENTS[challenge.instrument].tunings[challenge.tuningName];
+    dispatch({ type: 'START_GAME', payload: {
+      ...challenge,
+      isPractice: false,
+      fretboardLayout: generateFretboardLayout(dailyTuning, challenge.fretCount + 1),
+      tuning: dailyTuning,
+    } });
+  };
+
+  // Finished or stopped, a daily round hands the toolbar back
+  useEffect(() => {
+    if (dailyRun || !settingsBeforeDailyRef.current) return;
+    applyDrillConfig(settingsBeforeDailyRef.current);
+    settingsBeforeDailyRef.current = null;
+  }, [dailyRun]);
+
+  // A finished (not stopped) daily round goes into the calendar
+  useEffect(() => {
+    if (!isGameOver || !dailyRun) return;
+    setDailyResults(prev => {
+      const next = addDailyResult(prev, playerName, dailyRun, timer);
+      saveDailyResults(next);
+      return next;
+    });
+    setDailyRun(null);
+    setIsDailyOpen(true);
+  }, [isGameOver, dailyRun, playerName, timer]);
+
+  // Spelling for notes that aren't targets: the key's signature in Scale Drill, the chosen option in Note Cycle
+  const displaySpelling = gameMode === 'scaleDrill'
+    ? getKeyPreference(rootNote, resolveScale(scaleType, customScales))
+    : (noteSpelling === 'flats' ? 'flats' : 'sharps');
+
+  // Shared answer path for clicked frets and detected pitches. A null stringIndex means the
+  // answer maps to no fret on the board. Mic answers skip feedback sounds so the speakers don't feed back.
+  // Timed rounds only; practice and repeat taps on found frets aren't recorded
+  const recordGuess = (stringIndex, fretIndex, isCorrect) => {
+    if (isPracticeMode) return;
+    const fretKey = stringIndex == null ? null : getFretKey(stringIndex, fretIndex);
+    if (isCorrect && foundFrets.includes(fretKey)) return;
+    const now = performance.now();
+    const answeredNote = fretKey ? fretboardLayout[stringIndex][fretIndex] : null;
+    const record = {
+      ts: Date.now(),
+      player: playerName,
+      instrument,
+      tuning: tuningName,
+      openPitch: stringIndex == null ? null : tuning[stringIndex],
+      mode: gameMode,
+      stringIndex,
+      fretIndex: fretKey ? fretIndex : null,
+      note: answeredNote,
+      target: currentNote || notesToFind.join(' '),
+      // The pitch class being aimed for (always sharp-spelled): the fret's note when right, the lone target when wrong
+      targetNote: isCorrect ? toPitchClass(answeredNote) : (notesToFind.length === 1 ? toPitchClass(notesToFind[0]) : null),
+      correct: isCorrect,
+      responseMs: Math.round(now - promptStartRef.current),
+    };
+    promptStartRef.current = now;
+    setGuessHistory(prev => {
+      const next = appendGuessRecords(prev, [record]);
+      saveGuessHistory(next);
+      return next;
+    });
+  };
+
+  const submitGuess = (stringIndex, fretIndex, isCorrect, { playFeedback = true } = {}) => {
+    if (rhythm && rhythm.answer) return; // this beat window is already decided
+    recordGuess(stringIndex, fretIndex, isCorrect);
+    if (rhythm) dispatch({ type: 'RHYTHM_ANSWER', payload: { isCorrect, offsetMs: getBeatOffsetMs() } });
+    if (stringIndex == null) {
+      if (playFeedback) audioEngine.playIncorrectSound();
+      dispatch({ type: 'INCORRECT_GUESS', payload: { gameMode } });
+      return;
+    }
+
     const clickedFretKey = getFretKey(stringIndex, fretIndex);
     const clickedNote = fretboardLayout[stringIndex][fretIndex];
 
     // Always reveal briefly on tap
-    dispatch({ type: 'REVEAL_FRET', payload: { fretKey: clickedFretKey, note: clickedNote } });
+    dispatch({ type: 'REVEAL_FRET', payload: { fretKey: clickedFretKey, note: spellForContext(clickedNote, notesToFind, displaySpelling) } });
     setTimeout(() => dispatch({ type: 'HIDE_REVEAL', payload: { fretKey: clickedFretKey } }), 800);
-    
-    if (isWholeNotesMode && !WHOLE_NOTES.includes(clickedNote)) return;
 
-    if (notesToFind.includes(clickedNote)) {
-      audioEngine.playCorrectSound({ stringIndex, fretIndex, instrument, note: clickedNote });
+    if (isCorrect) {
+      if (playFeedback) audioEngine.playCorrectSound({ stringIndex, fretIndex, tuning, note: clickedNote });
       dispatch({ type: 'CORRECT_GUESS', payload: { clickedFretKey } });
     } else {
-      audioEngine.playIncorrectSound();
+      if (playFeedback) audioEngine.playIncorrectSound();
       dispatch({ type: 'FLASH_INCORRECT', payload: { clickedFretKey } });
       setTimeout(() => dispatch({ type: 'CLEAR_SHAKE' }), 300);
-      dispatch({ type: 'INCORRECT_GUESS', payload: { gameMode } });
+      dispatch({ type: 'INCORRECT_GUESS', payload: { gameMode, missedFret: { fretKey: clickedFretKey, note: clickedNote } } });
+    }
+  };
+
+  const handleFretClick = async (stringIndex, fretIndex) => {
+    await audioEngine.init();
+    setAudioReady(audioEngine.isInitialized);
+    if (!gameStarted || isReviewing || activeMode.answersWith !== 'fret' || fretIndex < fretRange[0] || fretIndex > fretRange[1]) return;
+
+    const clickedNote = fretboardLayout[stringIndex][fretIndex];
+    if (isNaturalsOnly && !WHOLE_NOTES.includes(clickedNote)) {
+      const fretKey = getFretKey(stringIndex, fretIndex);
+      dispatch({ type: 'REVEAL_FRET', payload: { fretKey, note: spellForContext(clickedNote, notesToFind, displaySpelling) } });
+      setTimeout(() => dispatch({ type: 'HIDE_REVEAL', payload: { fretKey } }), 800);
+      return;
+    }
+
+    submitGuess(stringIndex, fretIndex, activeMode.isCorrect(state, { fretKey: getFretKey(stringIndex, fretIndex), note: clickedNote }));
+  };
+
+  // Name That Note answers: the mode compares the named pitch class with the highlighted fret
+  const handleNameAnswer = (noteName) => {
+    if (!gameStarted || isReviewing || activeMode.answersWith !== 'name' || !referenceFret) return;
+    const answer = parseTypedNote(noteName);
+    if (!answer) return;
+    const [stringIndex, fretIndex] = referenceFret.split('-').map(Number);
+    // submitGuess reveals the fret's real name either way, so a wrong answer shows the right one
+    submitGuess(stringIndex, fretIndex, activeMode.isCorrect(state, { fretKey: referenceFret, note: answer }));
+  };
+
+  // Only modes answered on the board take played pitches; Name That Note wants a name, not a note
+  const handlePitchDetected = (midi, { playFeedback = false } = {}) => {
+    if (!gameStarted || isReviewing || activeMode.answersWith !== 'fret') return;
+    const match = matchPitchToFret({ midi, notesToFind, targetFrets, foundFrets, fretRange, fretboardLayout, tuning, isOctaveExact, isWholeNotesMode: isNaturalsOnly });
+    submitGuess(match.stringIndex, match.fretIndex, match.isCorrect, { playFeedback });
+  };
+
+  // Guitar controllers name an exact string and fret, so they answer like a click; keyboards send a plain pitch
+  const handleMidiNote = (msg) => {
+    if (midiLayout === 'guitar') {
+      const fret = mapMidiGuitarNote(msg, tuning, fretCount);
+      if (fret) handleFretClick(fret.stringIndex, fret.fretIndex);
+    } else {
+      handlePitchDetected(msg.note, { playFeedback: true });
     }
   };
+
+  // Mic, MIDI and keyboard callbacks outlive renders, so they go through refs to always see current state
+  const pitchHandlerRef = useRef(handlePitchDetected);
+  pitchHandlerRef.current = handlePitchDetected;
+  const midiHandlerRef = useRef(handleMidiNote);
+  midiHandlerRef.current = handleMidiNote;
+  const nameAnswerRef = useRef(handleNameAnswer);
+  nameAnswerRef.current = handleNameAnswer;
+  // Stable identity keeps NotePicker's key listener from re-subscribing every render
+  const handleNameAnswerRef = React.useCallback((noteName) => nameAnswerRef.current(noteName), []);
+
+  useEffect(() => {
+    if (inputMode !== 'mic' || !gameStarted) return;
+    let cancelled = false;
+    setMicStatus('starting');
+    // The app's own prompts (ear training pitch, interval pair, chord arpeggio) come back through the mic
+    micInput.start(midi => { if (!audioEngine.isPromptPlaying()) pitchHandlerRef.current(midi); })
+      .then(() => { if (!cancelled) setMicStatus(micInput.isListening ? 'listening' : 'off'); })
+      .catch(err => {
+        console.warn('[mic] Could not start microphone input', err);
+        if (!cancelled) setMicStatus('error');
+      });
+    return () => {
+      cancelled = true;
+      micInput.stop();
+      setMicStatus('off');
+    };
+  }, [inputMode, gameStarted]);
+
+  useEffect(() => {
+    if (inputMode !== 'midi') return;
+    let cancelled = false;
+    midiInput.init(devices => setMidiDevices(devices))
+      .then(devices => { if (!cancelled) setMidiDevices(devices); })
+      .catch(err => {
+        console.warn('[midi] Web MIDI unavailable', err);
+        if (!cancelled) setMidiStatus('error');
+      });
+    return () => { cancelled = true; };
+  }, [inputMode]);
+
+  // Keep the selected device valid as controllers are plugged in or out
+  useEffect(() => {
+    const connected = midiDevices.filter(d => d.state === 'connected');
+    if (!connected.some(d => d.id === midiDeviceId)) {
+      setMidiDeviceId(connected.length ? connected[0].id : '');
+    }
+  }, [midiDevices, midiDeviceId]);
+
+  useEffect(() => {
+    if (inputMode !== 'midi' || !midiDeviceId) return;
+    const ok = midiInput.connect(midiDeviceId, msg => midiHandlerRef.current(msg));
+    setMidiStatus(ok ? 'connected' : 'off');
+    return () => {
+      midiInput.disconnect();
+      setMidiStatus(status => (status === 'error' ? status : 'off'));
+    };
+  }, [inputMode, midiDeviceId]);
+
   
   useEffect(() => {
     if (flashFret) {
@@ -800,25 +2311,187 @@ function App() {
     }
   }, [flashFret]);
 
+  // String/fret positions only line up within one instrument and tuning, so the heatmap filters to those
+  const heatmap = useMemo(() => {
+    if (heatmapMetric === 'off') return null;
+    const records = guessHistory.filter(r => r.player === playerName && r.instrument === instrument && r.tuning === tuningName);
+    return computeFretHeatmap(records, heatmapMetric);
+  }, [heatmapMetric, guessHistory, playerName, instrument, tuningName]);
+
+  // Response times count from when a question appears
+  useEffect(() => {
+    if (gameStarted) promptStartRef.current = performance.now();
+  }, [gameStarted, noteQueueIndex]);
+
+  const handleSetPlayerName = (name) => {
+    setPlayerName(name);
+    savePlayerName(name);
+  };
+
+  const handleClearHistory = () => {
+    setGuessHistory([]);
+    saveGuessHistory([]);
+  };
+
   // --- Round Completion Logic ---
+  // The mode decides when a question is done and what happens next (next question, or the end of the round).
+  // The follow-up action is built when the question completes, so a final time doesn't include the pause;
+  // state goes through a ref because the timer changes it every frame
+  const isQuestionDone = gameStarted && activeMode.isQuestionComplete(state, { fretRange, fretboardLayout });
+  const stateRef = useRef(state);
+  stateRef.current = state;
   useEffect(() => {
-    if (!gameStarted) return;
-    
-    const allPositionsForCurrentNote = findAllNotePositions(notesToFind, fretRange, fretboardLayout);
-    
-    const isRoundComplete = allPositionsForCurrentNote.length > 0 && foundFrets.length === allPositionsForCurrentNote.length;
-
-    if (isRoundComplete) {
-      const timerId = setTimeout(() => {
-        if (gameMode === 'findNote') {
-          dispatch({ type: 'ADVANCE_NOTE' });
-        } else { // scaleDrill
-          dispatch({ type: 'GAME_OVER', payload: { finalTime: timer } });
-        }
-      }, 500);
-      return () => clearTimeout(timerId);
+    if (!isQuestionDone) return;
+    const action = activeMode.completeQuestion(stateRef.current);
+    const timerId = setTimeout(() => dispatch(action), 500);
+    return () => clearTimeout(timerId);
+  }, [isQuestionDone, noteQueueIndex, activeMode]);
+
+  // Each interval question sounds its reference note, then the interval
+  useEffect(() => {
+    if (!gameStarted || gameMode !== 'intervalDrill') return;
+    const question = noteQueue[noteQueueIndex];
+    if (!question) return;
+    const delay = noteQueueIndex === 0 ? 0.5 : 0; // let the start jingle finish first
+    audioEngine.playSequence([midiToPitch(question.referenceMidi), midiToPitch(question.referenceMidi + INTERVALS[question.intervalKey].semitones)], { delay });
+  }, [gameStarted, gameMode, noteQueue, noteQueueIndex]);
+
+  // Ear training: optional reference A, then the hidden pitch; also used by the Replay button
+  const playEarQuestion = (delay = 0) => {
+    const question = noteQueue[noteQueueIndex];
+    if (!question) return;
+    const target = midiToPitch(question.midi);
+    audioEngine.playSequence(isEarReferenceOn ? [getReferencePitch(tuning), target] : [target], { delay, gap: 0.8, dur: '2n' });
+  };
+
+  useEffect(() => {
+    if (!gameStarted || gameMode !== 'earTraining') return;
+    playEarQuestion(noteQueueIndex === 0 ? 0.5 : 0);
+  }, [gameStarted, gameMode, noteQueue, noteQueueIndex]);
+
+  // Each chord is announced with a quick arpeggio from root upward
+  useEffect(() => {
+    if (!gameStarted || gameMode !== 'chordDrill') return;
+    const chord = noteQueue[noteQueueIndex];
+    if (!chord) return;
+    const rootMidi = 48 + (pitchToMidi(chord.rootNote) % 12);
+    const delay = noteQueueIndex === 0 ? 0.5 : 0;
+    audioEngine.playSequence(getChordTones(chord.rootNote, chord.chordType).map(t => midiToPitch(rootMidi + t.semitones)), { delay, gap: 0.18, dur: '8n' });
+  }, [gameStarted, gameMode, noteQueue, noteQueueIndex]);
+
+  // A finished scale run plays back as one phrase
+  useEffect(() => {
+    if (!isGameOver || !activeRun || activeRun.index < activeRun.steps.length) return;
+    audioEngine.playSequence(activeRun.steps.map(step => midiToPitch(step.midi)), { delay: 0.6, gap: 0.22, dur: '8n' });
+  }, [isGameOver]);
+
+  // Rhythm drill: the Transport's beats drive the questions; answers are timed against the last beat
+  // (untimed, null, until the first beat of the round has sounded)
+  const lastBeatRef = useRef(null);
+  const getBeatOffsetMs = () => {
+    if (!rhythm || lastBeatRef.current == null) return null;
+    const beatMs = 60000 / rhythm.bpm;
+    const sinceBeat = performance.now() - lastBeatRef.current;
+    return sinceBeat > beatMs / 2 ? sinceBeat - beatMs : sinceBeat;
+  };
+
+  useEffect(() => {
+    if (!gameStarted || gameMode !== 'rhythmDrill') return;
+    lastBeatRef.current = null;
+    audioEngine.startMetronome({
+      bpm: rhythmBpm,
+      onBeat: (beat) => {
+        lastBeatRef.current = performance.now();
+        if (beat > 0) dispatch({ type: 'RHYTHM_BEAT' }); // beat 0 opens the first window
+      },
+    });
+    return () => audioEngine.stopMetronome();
+  }, [gameStarted, gameMode]);
+
+  const currentBpm = rhythm ? rhythm.bpm : null;
+  useEffect(() => {
+    if (gameStarted && currentBpm) audioEngine.setTempo(currentBpm);
+  }, [gameStarted, currentBpm]);
+
+  // A finished round becomes the last recording (stopped rounds are dropped)
+  useEffect(() => {
+    if (!isGameOver || !recordingRef.current) return;
+    const actions = recordingRef.current;
+    recordingRef.current = null;
+    setLastRecording({
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      recordedAt: new Date().toISOString(),
+      player: playerName,
+      instrument,
+      tuningName,
+      gameMode: actions[0].payload.gameMode,
+      actions,
+    });
+  }, [isGameOver]);
+
+  const handleStartReplay = (recording) => {
+    setReplayImportError('');
+    setReplay({ recording, duration: getReplayDuration(recording), elapsedMs: 0, speed: 1, isPlaying: true });
+  };
+
+  const handleImportReplay = async (file) => {
+    try {
+      const recording = parseReplay(await file.text());
+      setLastRecording(recording);
+      handleStartReplay(recording);
+    } catch (e) {
+      console.warn('[replay] Import failed', e);
+      setReplayImportError(e.message);
     }
-  }, [foundFrets, notesToFind, gameStarted, fretRange, gameMode, isPracticeMode, fretboardLayout]);
+  };
+
+  // Replay clock: advances at the chosen speed and stops at the end of the recording
+  const isReplayPlaying = Boolean(replay && replay.isPlaying);
+  useEffect(() => {
+    if (!isReplayPlaying) return;
+    let rafId;
+    let lastTs = null;
+    const tick = (ts) => {
+      const dt = lastTs == null ? 0 : ts - lastTs;
+      lastTs = ts;
+      setReplay(prev => {
+        if (!prev) return prev;
+        const elapsedMs = Math.min(prev.duration, prev.elapsedMs + dt * prev.speed);
+        return { ...prev, elapsedMs, isPlaying: elapsedMs < prev.duration };
+      });
+      rafId = requestAnimationFrame(tick);
+    };
+    rafId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(rafId);
+  }, [isReplayPlaying]);
+
+  const replayView = useMemo(() => (replay ? getReplayState(replay.recording, replay.elapsedMs) : null), [replay]);
+  // While replaying, the fretboard shows the recorded round instead of the live one
+  const replayStart = replay ? replay.recording.actions[0].payload : null;
+  const replayBoardProps = replayView ? {
+    handleFretClick: () => {},
+    handleSetFretRange: () => {},
+    foundFrets: replayView.foundFrets,
+    flashFret: replayView.flashFret,
+    shakeFret: replayView.shakeFret,
+    revealedFrets: replayView.revealedFrets,
+    fretRange: replayStart.fretRange,
+    isReviewing: replayView.isReviewing,
+    isPracticeMode: replayView.isPracticeMode,
+    notesToFind: replayView.notesToFind,
+    targetFrets: replayView.targetFrets,
+    referenceFret: replayView.referenceFret,
+    chordDegrees: replayView.chordDegrees,
+    positionShape: replayView.positionShape,
+    heatmap: null,
+    heatmapMetric: 'off',
+    isWholeNotesMode: replayStart.isWholeNotesMode,
+    fretboardLayout: replayStart.fretboardLayout,
+    tuning: replayStart.tuning,
+    progress: replayView.totalNotesInRound ? (replayView.totalFretsFoundInRound / replayView.totalNotesInRound) * 100 : 0,
+    gameStarted: replayView.gameStarted,
+  } : {};
 
   // Handle review mode timeout
   useEffect(() => {
@@ -846,6 +2519,59 @@ function App() {
     return () => { if (rafId) cancelAnimationFrame(rafId); };
   }, [gameStarted, isGameOver, isPracticeMode]);
   
+  // --- Keyboard and screen reader support ---
+  const fretboardRef = useRef(null);
+
+  const promptValue = {
+    findNote: currentNote || '?',
+    scaleDrill: `${rootNote} ${scaleType}${positionShape ? ` · ${positionShape.label}` : ''}`,
+    nameNote: '?',
+    earTraining: '🔊',
+    chordDrill: gameStarted ? currentNote : (chordProgression === 'single' ? getChordSymbol(rootNote, chordType) : `${rootNote}: ${chordProgression}`),
+    intervalDrill: gameStarted && noteQueue[noteQueueIndex] ? `${noteQueue[noteQueueIndex].intervalKey} ↑` : '?',
+    rhythmDrill: gameStarted ? currentNote : `${rhythmBpm} BPM`,
+  }[gameMode];
+
+  // The live region reads each status message, plus the prompt and marked fret when they change
+  // ('?' and the speaker stand for answers the player has to work out)
+  const spokenPrompt = gameStarted ? [
+    promptValue && !['?', '🔊'].includes(promptValue) && `${activeMode.promptLabel} ${promptValue}`,
+    referenceFret && `Marked: ${describeFret(...referenceFret.split('-').map(Number))}.`,
+  ].filter(Boolean).join(' ') : '';
+  const [announcement, setAnnouncement] = useState('');
+  const lastPromptRef = useRef('');
+  useEffect(() => {
+    const isNewPrompt = spokenPrompt !== lastPromptRef.current;
+    lastPromptRef.current = spokenPrompt;
+    const text = isNewPrompt && spokenPrompt ? `${message} ${spokenPrompt}` : message;
+    // The same text twice in a row ("Correct!" after "Correct!") gets a trailing space so it's read again
+    setAnnouncement(prev => (prev === text ? `${text}\u00a0` : text));
+  }, [message, spokenPrompt, score.hits, score.misses]);
+
+  // Hotkeys: P plays, Shift+P practices, Escape stops, R replays the ear training pitch
+  const handleHotkey = (e) => {
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isEditableTarget(e.target)) return;
+    const key = e.key.toLowerCase();
+    if (gameStarted && key === 'escape') handleStopGame();
+    else if (!gameStarted && key === 'p') handleStartGame(e.shiftKey);
+    else if (gameStarted && gameMode === 'earTraining' && key === 'r') playEarQuestion();
+    else return;
+    e.preventDefault();
+  };
+  const hotkeyRef = useRef(handleHotkey);
+  hotkeyRef.current = handleHotkey;
+  useEffect(() => {
+    const onKey = (e) => hotkeyRef.current(e);
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, []);
+
+  // Rounds answered on the board start with focus on it, so the arrow keys work straight away
+  useEffect(() => {
+    if (!gameStarted || activeMode.answersWith !== 'fret') return;
+    fretboardRef.current?.querySelector('[tabindex="0"]')?.focus();
+  }, [gameStarted]);
+
   const buttonBaseStyle = "px-5 text-sm font-semibold transition-all duration-300 transform border-2 hover:scale-105 flex items-center justify-center";
   const playButtonStyle = `${buttonBaseStyle} bg-gradient-to-br from-slate-800 to-slate-900 border-blue-500 text-white shadow-[0_0_10px_rgba(59,130,246,0.5)] hover:shadow-[0_0_20px_rgba(59,130,246,0.7)] rounded-l-xl`;
   const stopButtonStyle = `${buttonBaseStyle} bg-gradient-to-br from-slate-800 to-slate-900 border-red-500 text-white shadow-[0_0_10px_rgba(239,68,68,0.5)] hover:shadow-[0_0_20px_rgba(239,68,68,0.7)] rounded-l-xl`;
@@ -863,18 +2589,111 @@ function App() {
       <div className="font-orbitron flex items-center justify-center min-h-screen bg-slate-900 text-slate-100 p-4">
         <div className="w-full max-w-5xl bg-slate-800/50 rounded-2xl shadow-2xl p-6 md:p-8 space-y-4 border border-slate-700">
           <Toolbar 
+            onShowStats={() => setIsStatsOpen(open => !open)}
+            onShowDaily={() => setIsDailyOpen(open => !open)}
+            onShowReplay={() => setIsReplayOpen(open => !open)}
+            onCopyLink={handleCopyLink}
+            linkStatus={linkStatus}
             instrument={instrument}
-            setInstrument={setInstrument}
+            setInstrument={handleSetInstrument}
+            fretCount={fretCount}
+            setFretCount={handleSetFretCount}
+            tuningName={tuningName}
+            setTuningName={setTuningName}
+            customTunings={customTunings}
+            onEditTuning={() => setIsTuningEditorOpen(true)}
             gameMode={gameMode} setGameMode={setGameMode}
             rootNote={rootNote} setRootNote={setRootNote}
             scaleType={scaleType} setScaleType={setScaleType}
+            customScales={customScales}
+            onEditScale={() => setIsScaleEditorOpen(true)}
+            scalePosition={scalePosition} setScalePosition={setScalePosition}
+            scaleRun={scaleRun} setScaleRun={setScaleRun}
+            chordType={chordType} setChordType={setChordType}
+            chordProgression={chordProgression} setChordProgression={setChordProgression}
+            intervalKeys={intervalKeys} setIntervalKeys={setIntervalKeys}
+            earDifficulty={earDifficulty} setEarDifficulty={setEarDifficulty}
+            isEarReferenceOn={isEarReferenceOn} setIsEarReferenceOn={setIsEarReferenceOn}
+            intervalTarget={intervalTarget} setIntervalTarget={setIntervalTarget}
             isWholeNotesMode={isWholeNotesMode}
             setIsWholeNotesMode={setIsWholeNotesMode}
+            noteSpelling={noteSpelling} setNoteSpelling={setNoteSpelling}
+            queueStrategy={queueStrategy} setQueueStrategy={setQueueStrategy}
+            rhythmBpm={rhythmBpm} setRhythmBpm={setRhythmBpm}
+            rhythmBeats={rhythmBeats} setRhythmBeats={setRhythmBeats}
+            isRhythmRampOn={isRhythmRampOn} setIsRhythmRampOn={setIsRhythmRampOn}
+            inputMode={inputMode} setInputMode={setInputMode}
+            isOctaveExact={isOctaveExact} setIsOctaveExact={setIsOctaveExact}
+            micStatus={micStatus}
+            midiDevices={midiDevices}
+            midiDeviceId={midiDeviceId} setMidiDeviceId={setMidiDeviceId}
+            midiLayout={midiLayout} setMidiLayout={setMidiLayout}
+            midiStatus={midiStatus}
             gameStarted={gameStarted}
             audioReady={audioReady}
+            audioSource={audioSource}
           />
+          {isStatsOpen && (
+            <StatsPanel
+              history={guessHistory}
+              instrument={instrument}
+              playerName={playerName}
+              setPlayerName={handleSetPlayerName}
+              onClear={handleClearHistory}
+              onClose={() => setIsStatsOpen(false)}
+            />
+          )}
+          {isDailyOpen && (
+            <DailyPanel
+              byDay={dailyResults[playerName] || {}}
+              playerName={playerName}
+              todayKey={getDateKey()}
+              onPlay={handleStartDaily}
+              gameStarted={gameStarted}
+              onClose={() => setIsDailyOpen(false)}
+            />
+          )}
+          {(isReplayOpen || replay) && !gameStarted && (
+            <ReplayPanel
+              lastRecording={lastRecording}
+              replay={replay}
+              replayView={replayView}
+              onStart={handleStartReplay}
+              onTogglePlay={() => setReplay(prev => ({ ...prev, isPlaying: !prev.isPlaying, elapsedMs: prev.elapsedMs >= prev.duration ? 0 : prev.elapsedMs }))}
+              onSeek={elapsedMs => setReplay(prev => ({ ...prev, elapsedMs }))}
+              onSpeed={speed => setReplay(prev => ({ ...prev, speed }))}
+              onExit={() => setReplay(null)}
+              onImport={handleImportReplay}
+              importError={replayImportError}
+              onClose={() => setIsReplayOpen(false)}
+            />
+          )}
+          {isTuningEditorOpen && !gameStarted && (
+            <TuningEditor
+              key={`${instrument}-${tuningName}`}
+              instrument={instrument}
+              initialName={tuningName}
+              initialTuning={tuning}
+              customTunings={customTunings}
+              onSave={handleSaveTuning}
+              onDelete={handleDeleteTuning}
+              onClose={() => setIsTuningEditorOpen(false)}
+            />
+          )}
+          {isScaleEditorOpen && !gameStarted && (
+            <ScaleEditor
+              key={scaleType}
+              rootNote={rootNote}
+              initialName={scaleType}
+              initialIntervals={resolveScale(scaleType, customScales)}
+              customScales={customScales}
+              onSave={handleSaveScale}
+              onDelete={handleDeleteScale}
+              onClose={() => setIsScaleEditorOpen(false)}
+            />
+          )}
           <div className="flex items-stretch justify-between bg-slate-900/70 rounded-xl shadow-lg border border-slate-700">
-            <button onClick={gameStarted ? () => dispatch({ type: 'STOP_GAME' }) : () => handleStartGame(false)} className={gameStarted ? stopButtonStyle : playButtonStyle}>
+            <button onClick={gameStarted ? handleStopGame : () => handleStartGame(false)} aria-keyshortcuts={gameStarted ? 'Escape' : 'P'} title={gameStarted ? 'Stop (Esc)' : 'Play (P)'} className={gameStarted ? stopButtonStyle : playButtonStyle}>
               {gameStarted ? 'Stop' : 'Play'}
             </button>
             {!gameStarted && (
@@ -884,29 +2703,74 @@ function App() {
             )}
             <div className="flex items-center space-x-3 pl-6">
               <p className="text-sm font-semibold text-slate-400 tracking-wider uppercase">
-                {gameMode === 'findNote' ? 'Note:' : 'Scale:'}
-              </p>
-              <p className="text-3xl font-bold text-blue-400">
-                {gameMode === 'findNote' ? (currentNote || '?') : `${rootNote} ${scaleType}`}
+                {activeMode.promptLabel}
               </p>
+              <p className="text-3xl font-bold text-blue-400">{promptValue}</p>
+              {gameMode === 'scaleDrill' && gameStarted && activeRun && (
+                <p className="text-sm text-slate-400">
+                  Next: <span className="text-xl font-bold text-blue-300">{currentNote}</span> · {Math.min(activeRun.index + 1, activeRun.steps.length)}/{activeRun.steps.length}
+                </p>
+              )}
+              {gameMode === 'rhythmDrill' && gameStarted && rhythm && (
+                <div className="flex gap-1" aria-label={`${rhythm.beatsLeft} beats left at ${rhythm.bpm} BPM`} title={`${rhythm.bpm} BPM`}>
+                  {Array.from({ length: rhythm.beatsPerNote }, (_, i) => (
+                    <span key={i} className={`w-2.5 h-2.5 rounded-full ${i < rhythm.beatsLeft ? 'bg-blue-400' : 'bg-slate-700'}`}></span>
+                  ))}
+                </div>
+              )}
+              {gameMode === 'earTraining' && gameStarted && (
+                <button
+                  type="button"
+                  onClick={() => playEarQuestion()}
+                  aria-keyshortcuts="R"
+                  title="Replay (R)"
+                  className="text-xs px-3 py-1.5 rounded-full border-2 border-blue-500 text-blue-400 bg-slate-900/50 hover:brightness-110"
+                >
+                  Replay
+                </button>
+              )}
             </div>
 
             <div className="flex-1 text-center px-4 flex items-center justify-center">
-              <p className={`font-semibold text-sm ${message.startsWith('Correct') || message.includes('complete') || message.includes('Finished') ? 'text-green-400' : message.includes('Not quite') || message.includes('Whoops') ? 'text-red-400' : 'text-slate-300'}`}>{message}</p>
+              <p className={`font-semibold text-sm ${message.startsWith('Correct') || message.startsWith('Got it') || message.includes('complete') || message.includes('Finished') ? 'text-green-400' : message.includes('Not quite') || message.includes('Whoops') || message.startsWith('Missed') ? 'text-red-400' : 'text-slate-300'}`}>{message}</p>
+              <div className="sr-only" role="status" aria-atomic="true">{announcement}</div>
             </div>
             
             <div className="flex items-center pr-4">
+              {gameStarted && !isPracticeMode && (
+                <div className="text-xs text-right text-slate-400 pr-2 leading-5" aria-label="Hits, misses and streak">
+                  <p><span className="text-green-400">✓ {score.hits}</span> <span className="text-red-400">✗ {score.misses}</span></p>
+                  <p className={score.streak >= 5 ? 'text-amber-400' : ''}>🔥 {score.streak}</p>
+                </div>
+              )}
               {!isPracticeMode && (isGameOver ? <FinalTimeDisplay time={timer} /> : <TimerDisplay time={timer} />)}
             </div>
             {!gameStarted && 
-              <button onClick={() => handleStartGame(true)} className={practiceButtonStyle}>
+              <button onClick={() => handleStartGame(true)} aria-keyshortcuts="Shift+P" title="Practice (Shift+P)" className={practiceButtonStyle}>
                 Practice
               </button>
             }
           </div>
           
+          {isGameOver && !isPracticeMode && (
+            <ResultsPanel score={score} time={timer} totalTargets={totalNotesInRound} />
+          )}
+
+          {gameMode === 'rhythmDrill' && isGameOver && !isPracticeMode && rhythm && (
+            <RhythmResults rhythm={rhythm} />
+          )}
+
+          {gameMode === 'nameNote' && (
+            <NotePicker
+              onAnswer={handleNameAnswerRef}
+              disabled={!gameStarted || isReviewing}
+              isWholeNotesMode={isNaturalsOnly}
+            />
+          )}
+
           <Fretboard 
             handleFretClick={handleFretClick} 
+            gridRef={fretboardRef}
             foundFrets={foundFrets} 
             flashFret={flashFret} 
             shakeFret={shakeFret}
@@ -916,11 +2780,19 @@ function App() {
             isReviewing={isReviewing}
             isPracticeMode={isPracticeMode}
             notesToFind={notesToFind}
-            isWholeNotesMode={isWholeNotesMode}
+            targetFrets={targetFrets}
+            referenceFret={referenceFret}
+            chordDegrees={chordDegrees}
+            positionShape={positionShape}
+            heatmap={heatmap}
+            heatmapMetric={heatmapMetric}
+            setHeatmapMetric={setHeatmapMetric}
+            isWholeNotesMode={isNaturalsOnly}
             fretboardLayout={fretboardLayout}
-            tuning={INSTRUMENTS[instrument].tuning}
+            tuning={tuning}
             progress={progress}
             gameStarted={gameStarted}
+            {...replayBoardProps}
           />
         </div>
       </div>
@@ -928,57 +2800,4 @@ function App() {
   );
 }
 
-// --- Dev: Lightweight reducer tests (console assertions) ---
-const __RUN_DEV_TESTS__ = true;
-if (__RUN_DEV_TESTS__) {
-  (function runReducerTests() {
-    try {
-      // 1) Timer delta increments when game is started
-      let st = { ...initialState, gameStarted: true };
-      st = gameReducer(st, { type: 'TICK_TIMER_DELTA', payload: 1.0 });
-      console.assert(Math.abs(st.timer - 1) < 1e-6, 'TICK_TIMER_DELTA should add delta seconds');
-
-      // 2) STOP_GAME clears gameStarted
-      const afterStop = gameReducer(st, { type: 'STOP_GAME' });
-      console.assert(afterStop.gameStarted === false, 'STOP_GAME should stop game');
-
-      // 3) Reveal/hide
-      let s2 = gameReducer(initialState, { type: 'REVEAL_FRET', payload: { fretKey: '0-0', note: 'E' } });
-      console.assert(s2.revealedFrets['0-0'] === 'E', 'REVEAL_FRET stores note');
-      s2 = gameReducer(s2, { type: 'HIDE_REVEAL', payload: { fretKey: '0-0' } });
-      console.assert(!('0-0' in s2.revealedFrets), 'HIDE_REVEAL removes note');
-
-      // 4) Timer shouldn't advance when game not started
-      let s3 = { ...initialState, gameStarted: false };
-      s3 = gameReducer(s3, { type: 'TICK_TIMER_DELTA', payload: 0.5 });
-      console.assert(s3.timer === 0, 'Timer does not advance when game not started');
-
-      // 5) computeFretColumns produces correct segment count
-      const cols = computeFretColumns(12);
-      console.assert(cols.split(' ').length === 12, 'computeFretColumns should return 12 segments for 12 frets');
-
-      // 6) findAllNotePositions sanity check on a single-string board
-      const fb = generateFretboardLayout(['C'], 13); // C, then 12 semitones
-      const pos = findAllNotePositions(['E'], [0, 12], fb);
-      console.assert(Array.isArray(pos) && pos.includes('0-4') && pos.length === 1, 'E on C string should be only at fret 4 within 0-12');
-
-      // 7) Practice mode: timer does not advance
-      let s4 = { ...initialState, gameStarted: true, isPracticeMode: true };
-      s4 = gameReducer(s4, { type: 'TICK_TIMER_DELTA', payload: 1 });
-      console.assert(s4.timer === 0, 'Timer must not advance in practice mode');
-
-      // 8) String/fret to MIDI mapping (high E on top)
-      console.assert(computeStringFretMidi('Guitar', 0, 0) === 64, 'Top string open should be E4 (64)');
-      console.assert(computeStringFretMidi('Guitar', 5, 0) === 40, 'Bottom string open should be E2 (40)');
-      console.assert(computeStringFretMidi('Guitar', 0, 1) === 65, 'Top string fret 1 should be F4 (65)');
-
-      // 9) Bass mapping sanity
-      console.assert(computeStringFretMidi('Bass', 0, 0) === 43, 'Bass top string open should be G2 (43)');
-      console.assert(computeStringFretMidi('Bass', 3, 5) === 28 + 5, 'Bass low E1 plus 5 frets should be 33');
-    } catch (e) {
-      console.warn('Reducer tests encountered an error:', e);
-    }
-  })();
-}
-
 export default App;
@@ -0,0 +1,30 @@
+// Fretboard display helpers: colors and grid tracks as plain strings, free of React and the DOM.
+
+// --- Chord tones ---
+// Found frets are tinted by chord function: root, 3rd (or sus tone), 5th, 7th/6th, extensions
+export const getDegreeColor = (degree) => {
+  const number = Number(String(degree).replace(/[b#]/g, ''));
+  if (number === 1) return 'bg-red-600';
+  if (number === 3) return 'bg-green-600';
+  if (number === 2 || number === 4) return 'bg-teal-600';
+  if (number === 5) return 'bg-blue-600';
+  if (number === 6 || number === 7) return 'bg-purple-600';
+  return 'bg-amber-600';
+};
+
+// --- Fretboard heatmap (from guess history) ---
+// Red (weak) through amber to green (strong)
+export const getHeatColor = (score) => `hsl(${Math.round(score * 120)}, 70%, 38%)`;
+
+// --- Fret grid ---
+// Helper to compute CSS grid columns for shrinking fret widths.
+// With `minWidth` each column gets a floor so high frets stay tappable; the board then scrolls instead.
+export const computeFretColumns = (fretCount, minWidth) => {
+  if (!Number.isFinite(fretCount) || fretCount <= 0) return 'repeat(12, 1fr)';
+  const weights = Array.from({ length: fretCount }, (_, i) => Math.pow(2, -(i + 1) / 12));
+  const sum = weights.reduce((a, b) => a + b, 0);
+  return weights
+    .map(w => `${(w / sum).toFixed(4)}fr`)
+    .map(fr => (minWidth ? `minmax(${minWidth},${fr})` : fr))
+    .join(' ');
+};
@@ -0,0 +1,211 @@
+// Drill configuration: URL encoding for shared drills and the date-seeded Daily Challenge.
+import { ROOT_NOTES, SCALES, CHORDS, PROGRESSIONS, INTERVALS, parseScaleSteps, formatScaleSteps, getScaleOptions, resolveScale } from './theory.js';
+import { INSTRUMENTS, isValidTuning, getTuningOptions, resolveTuning, clampFretCount } from './fretboard.js';
+import { hashSeed, createSeededRandom } from './random.js';
+import { DEFAULT_INTERVALS, EAR_DIFFICULTIES, RHYTHM_BPM_OPTIONS, RHYTHM_BEAT_OPTIONS, SCALE_RUN_PATTERNS } from './modes.js';
+import { GAME_MODE_REGISTRY } from './gameModes.js';
+import { POSITION_SYSTEMS } from './positions.js';
+
+// --- Shareable drill configuration (URL query or hash) ---
+export const DRILL_CONFIG_DEFAULTS = {
+  instrument: 'Guitar',
+  tuningName: INSTRUMENTS['Guitar'].defaultTuning,
+  fretCount: INSTRUMENTS['Guitar'].frets - 1,
+  fretRange: [0, 12],
+  gameMode: 'findNote',
+  rootNote: 'C',
+  scaleType: 'Major',
+  scalePosition: 'all',
+  scaleRun: 'free',
+  isWholeNotesMode: false,
+  noteSpelling: 'sharps',
+  queueStrategy: 'uniform',
+  chordType: 'maj7',
+  chordProgression: 'single',
+  earDifficulty: 'medium',
+  isEarReferenceOn: true,
+  intervalKeys: DEFAULT_INTERVALS,
+  intervalTarget: 'above',
+  rhythmBpm: 80,
+  rhythmBeats: 4,
+  isRhythmRampOn: false,
+};
+
+// Only settings that differ from the defaults go in the link; custom tunings travel with their pitches
+// and custom scales with their step pattern
+export const encodeDrillConfig = (config, customTunings = {}, customScales = {}) => {
+  const params = new URLSearchParams();
+  const { defaultTuning, frets } = INSTRUMENTS[config.instrument];
+  const defaults = { ...DRILL_CONFIG_DEFAULTS, tuningName: defaultTuning, fretCount: clampFretCount(config.instrument, frets - 1) };
+  const set = (param, key, value) => {
+    if (String(config[key]) !== String(defaults[key])) params.set(param, value);
+  };
+  set('instrument', 'instrument', config.instrument);
+  set('tuning', 'tuningName', config.tuningName);
+  if (!INSTRUMENTS[config.instrument].tunings[config.tuningName]) {
+    params.set('tuning', config.tuningName);
+    params.set('strings', resolveTuning(config.instrument, config.tuningName, customTunings).join(','));
+  }
+  set('frets', 'fretCount', config.fretCount);
+  set('range', 'fretRange', config.fretRange.join('-'));
+  set('mode', 'gameMode', config.gameMode);
+  set('root', 'rootNote', config.rootNote);
+  set('scale', 'scaleType', config.scaleType);
+  if (!SCALES[config.scaleType]) {
+    params.set('scale', config.scaleType);
+    params.set('steps', formatScaleSteps(resolveScale(config.scaleType, customScales)));
+  }
+  set('position', 'scalePosition', config.scalePosition);
+  set('run', 'scaleRun', config.scaleRun);
+  set('naturals', 'isWholeNotesMode', config.isWholeNotesMode ? '1' : '0');
+  set('spelling', 'noteSpelling', config.noteSpelling);
+  set('queue', 'queueStrategy', config.queueStrategy);
+  set('chord', 'chordType', config.chordType);
+  set('progression', 'chordProgression', config.chordProgression);
+  set('ear', 'earDifficulty', config.earDifficulty);
+  set('reference', 'isEarReferenceOn', config.isEarReferenceOn ? '1' : '0');
+  set('intervals', 'intervalKeys', config.intervalKeys.join(','));
+  set('target', 'intervalTarget', config.intervalTarget);
+  set('bpm', 'rhythmBpm', config.rhythmBpm);
+  set('beats', 'rhythmBeats', config.rhythmBeats);
+  set('ramp', 'isRhythmRampOn', config.isRhythmRampOn ? '1' : '0');
+  return params.toString();
+};
+
+// A link's step pattern, or null if it doesn't make a scale
+const parseSharedSteps = (steps) => {
+  try {
+    return steps ? parseScaleSteps(steps) : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+// Full config from a query/hash string; anything missing or invalid falls back to the defaults.
+// An unknown tuning that arrives with its pitches comes back as `sharedTuning` for the caller to add,
+// and an unknown scale with its steps as `sharedScale`.
+export const decodeDrillConfig = (paramString, customTunings = {}, customScales = {}) => {
+  const params = new URLSearchParams(paramString);
+  const oneOf = (param, allowed, fallback) => (allowed.includes(params.get(param)) ? params.get(param) : fallback);
+  const config = { ...DRILL_CONFIG_DEFAULTS };
+
+  config.instrument = oneOf('instrument', Object.keys(INSTRUMENTS), config.instrument);
+  config.tuningName = INSTRUMENTS[config.instrument].defaultTuning;
+  const tuningParam = params.get('tuning');
+  const sharedPitches = (params.get('strings') || '').split(',').filter(Boolean);
+  if (tuningParam && getTuningOptions(config.instrument, customTunings)[tuningParam] && !params.has('strings')) {
+    config.tuningName = tuningParam;
+  } else if (tuningParam && !INSTRUMENTS[config.instrument].tunings[tuningParam] && isValidTuning(sharedPitches)) {
+    config.tuningName = tuningParam;
+    config.sharedTuning = { name: tuningParam, tuning: sharedPitches };
+  }
+
+  const fretCount = parseInt(params.get('frets'), 10);
+  config.fretCount = clampFretCount(config.instrument, Number.isFinite(fretCount) ? fretCount : INSTRUMENTS[config.instrument].frets - 1);
+  const range = /^(\d+)-(\d+)$/.exec(params.get('range') || '');
+  const [start, end] = range ? [Number(range[1]), Number(range[2])] : config.fretRange;
+  config.fretRange = start <= end && end <= config.fretCount ? [start, end] : [0, Math.min(12, config.fretCount)];
+
+  config.gameMode = oneOf('mode', Object.keys(GAME_MODE_REGISTRY), config.gameMode);
+  config.rootNote = oneOf('root', ROOT_NOTES, config.rootNote);
+  const scaleParam = params.get('scale');
+  const sharedIntervals = parseSharedSteps(params.get('steps'));
+  if (scaleParam && getScaleOptions(customScales)[scaleParam] && !params.has('steps')) {
+    config.scaleType = scaleParam;
+  } else if (scaleParam && !SCALES[scaleParam] && sharedIntervals) {
+    config.scaleType = scaleParam;
+    config.sharedScale = { name: scaleParam, intervals: sharedIntervals };
+  }
+  const position = /^([a-z0-9]+)-(\d+)$/.exec(params.get('position') || '');
+  if (position && (POSITION_SYSTEMS[position[1]] || position[1] === 'string')) config.scalePosition = position[0];
+  config.scaleRun = oneOf('run', Object.keys(SCALE_RUN_PATTERNS), config.scaleRun);
+  config.isWholeNotesMode = params.get('naturals') === '1';
+  config.noteSpelling = oneOf('spelling', ['sharps', 'flats', 'mixed'], config.noteSpelling);
+  config.queueStrategy = oneOf('queue', ['uniform', 'adaptive'], config.queueStrategy);
+  config.chordType = oneOf('chord', Object.keys(CHORDS), config.chordType);
+  config.chordProgression = oneOf('progression', ['single', ...Object.keys(PROGRESSIONS)], config.chordProgression);
+  config.earDifficulty = oneOf('ear', Object.keys(EAR_DIFFICULTIES), config.earDifficulty);
+  config.isEarReferenceOn = params.get('reference') !== '0';
+  const intervalKeys = (params.get('intervals') || '').split(',').filter(key => INTERVALS[key]);
+  if (intervalKeys.length > 0) config.intervalKeys = intervalKeys;
+  config.intervalTarget = oneOf('target', ['above', 'all'], config.intervalTarget);
+  config.rhythmBpm = Number(oneOf('bpm', RHYTHM_BPM_OPTIONS.map(String), config.rhythmBpm));
+  config.rhythmBeats = Number(oneOf('beats', RHYTHM_BEAT_OPTIONS.map(String), config.rhythmBeats));
+  config.isRhythmRampOn = params.get('ramp') === '1';
+  return config;
+};
+
+// Shared tunings join the session's custom tunings; they are only saved if the user edits tunings later
+export const withSharedTuning = (customTunings, config) => {
+  if (!config.sharedTuning) return customTunings;
+  const { name, tuning } = config.sharedTuning;
+  return { ...customTunings, [config.instrument]: { ...(customTunings[config.instrument] || {}), [name]: tuning } };
+};
+
+// Shared scales join the session's custom scales the same way
+export const withSharedScale = (customScales, config) => (
+  config.sharedScale ? { ...customScales, [config.sharedScale.name]: config.sharedScale.intervals } : customScales
+);
+
+// --- Daily Challenge (seeded by the date, results kept on this device) ---
+export const DAILY_INSTRUMENTS = ['Guitar', 'Bass', 'Ukulele'];
+export const DAILY_MODES = ['findNote', 'nameNote'];
+export const DAILY_RANGE_WIDTH = 5;
+
+// Local calendar date as YYYY-MM-DD, so the challenge rolls over at the player's midnight
+export const getDateKey = (date = new Date()) => (
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`
+);
+
+export const shiftDateKey = (dateKey, days) => {
+  const [y, m, d] = dateKey.split('-').map(Number);
+  return getDateKey(new Date(y, m - 1, d + days));
+};
+
+// Everything about the day's drill comes from the date alone, so every device builds the same round
+export const getDailyChallenge = (dateKey) => {
+  const random = createSeededRandom(hashSeed(`fretboarder-daily-${dateKey}`));
+  const instrument = DAILY_INSTRUMENTS[Math.floor(random() * DAILY_INSTRUMENTS.length)];
+  const fretCount = INSTRUMENTS[instrument].frets - 1;
+  const start = Math.floor(random() * (fretCount - DAILY_RANGE_WIDTH + 2));
+  return {
+    ...DRILL_CONFIG_DEFAULTS,
+    dateKey,
+    instrument,
+    tuningName: INSTRUMENTS[instrument].defaultTuning,
+    fretCount,
+    fretRange: [start, start + DAILY_RANGE_WIDTH - 1],
+    gameMode: DAILY_MODES[Math.floor(random() * DAILY_MODES.length)],
+    seed: Math.floor(random() * 4294967296),
+  };
+};
+
+// Results are kept per player and per day: the best time and how many times the day was finished
+export const addDailyResult = (results, player, dateKey, time) => {
+  const byDay = results[player] || {};
+  const previous = byDay[dateKey];
+  const entry = {
+    time: previous ? Math.min(previous.time, time) : time,
+    attempts: (previous ? previous.attempts : 0) + 1,
+  };
+  return { ...results, [player]: { ...byDay, [dateKey]: entry } };
+};
+
+// Current streak counts back from today, or from yesterday while today is still open
+export const computeDailyStreaks = (byDay = {}, todayKey = getDateKey()) => {
+  let current = 0;
+  let day = byDay[todayKey] ? todayKey : shiftDateKey(todayKey, -1);
+  while (byDay[day]) {
+    current++;
+    day = shiftDateKey(day, -1);
+  }
+  let best = 0;
+  let run = 0;
+  let previous = null;
+  Object.keys(byDay).sort().forEach(key => {
+    run = previous && shiftDateKey(previous, 1) === key ? run + 1 : 1;
+    best = Math.max(best, run);
+    previous = key;
+  });
+  return { current, best };
+};
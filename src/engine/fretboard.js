@@ -0,0 +1,174 @@
+// Fretboard mapping: instruments and tunings, note layouts, fret keys and the pitch each string/fret sounds.
+import { ALL_NOTES, INTERVALS, parsePitch, pitchToMidi, midiToPitchClass, toPitchClass } from './theory.js';
+
+// --- Instrument Definitions ---
+// Tunings list each string's open pitch (with octave), top string (highest) first.
+// `frets` is the default number of fret slots including the open string; `maxFrets` is the highest fret on the neck.
+export const INSTRUMENTS = {
+  'Guitar': {
+    frets: 13,
+    maxFrets: 24,
+    defaultTuning: 'Standard',
+    tunings: {
+      'Standard':       ['E4', 'B3', 'G3', 'D3', 'A2', 'E2'],
+      'Drop D':         ['E4', 'B3', 'G3', 'D3', 'A2', 'D2'],
+      'Half-Step Down': ['D#4', 'A#3', 'F#3', 'C#3', 'G#2', 'D#2'],
+      'DADGAD':         ['D4', 'A3', 'G3', 'D3', 'A2', 'D2'],
+      'Open G':         ['D4', 'B3', 'G3', 'D3', 'G2', 'D2'],
+      'Open D':         ['D4', 'A3', 'F#3', 'D3', 'A2', 'D2'],
+      '7-String':       ['E4', 'B3', 'G3', 'D3', 'A2', 'E2', 'B1'],
+    },
+  },
+  'Bass': {
+    frets: 13,
+    maxFrets: 24,
+    defaultTuning: 'Standard',
+    tunings: {
+      'Standard': ['G2', 'D2', 'A1', 'E1'],
+      'Drop D':   ['G2', 'D2', 'A1', 'D1'],
+      '5-String': ['G2', 'D2', 'A1', 'E1', 'B0'],
+    },
+  },
+  'Ukulele': {
+    frets: 13,
+    maxFrets: 18,
+    defaultTuning: 'Standard',
+    tunings: {
+      'Standard': ['A4', 'E4', 'C4', 'G4'], // re-entrant
+      'Low G':    ['A4', 'E4', 'C4', 'G3'],
+      'Baritone': ['E4', 'B3', 'G3', 'D3'],
+    },
+  },
+  'Mandolin': {
+    frets: 13,
+    maxFrets: 20,
+    defaultTuning: 'Standard',
+    tunings: {
+      'Standard': ['E5', 'A4', 'D4', 'G3'],
+    },
+  },
+};
+
+export const MIN_FRETS = 12;
+export const MAX_FRETS = 24;
+export const MIN_STRINGS = 1;
+export const MAX_STRINGS = 10;
+// --- Fretboard layout ---
+export const generateFretboardLayout = (tuning, fretCount) => {
+  return tuning.map(openPitch => {
+    const openNote = parsePitch(openPitch)?.pitchClass || openPitch;
+    const string = [openNote];
+    let lastNoteIndex = ALL_NOTES.indexOf(openNote);
+    for (let i = 0; i < fretCount - 1; i++) {
+      lastNoteIndex = (lastNoteIndex + 1) % 12;
+      string.push(ALL_NOTES[lastNoteIndex]);
+    }
+    return string;
+  });
+};
+
+export const getFretKey = (stringIndex, fretIndex) => `${stringIndex}-${fretIndex}`;
+
+export const findAllNotePositions = (notesToFind, range, fretboardLayout) => {
+  const positions = [];
+  const notes = (Array.isArray(notesToFind) ? notesToFind : [notesToFind]).map(toPitchClass);
+  fretboardLayout.forEach((string, sIndex) => {
+    string.forEach((note, fIndex) => {
+      if (notes.includes(note) && fIndex >= range[0] && fIndex <= range[1]) {
+        positions.push(getFretKey(sIndex, fIndex));
+      }
+    });
+  });
+  return positions;
+};
+
+// 'above': the exact pitch the interval lands on (any string). 'all': every in-range fret of that pitch class.
+export const findIntervalTargets = ({ stringIndex, fretIndex, intervalKey, intervalTarget, fretRange, fretboardLayout, tuning }) => {
+  const targetMidi = computeStringFretMidi(tuning, stringIndex, fretIndex) + INTERVALS[intervalKey].semitones;
+  const referenceKey = getFretKey(stringIndex, fretIndex);
+  const targets = [];
+  fretboardLayout.forEach((string, s) => {
+    for (let f = fretRange[0]; f <= fretRange[1] && f < string.length; f++) {
+      const key = getFretKey(s, f);
+      if (key === referenceKey) continue;
+      const matches = intervalTarget === 'all'
+        ? string[f] === midiToPitchClass(targetMidi)
+        : computeStringFretMidi(tuning, s, f) === targetMidi;
+      if (matches) targets.push(key);
+    }
+  });
+  return targets;
+};
+
+// Every in-range fret on any string that sounds exactly `midi`
+export const findExactPitchFrets = (midi, fretRange, fretboardLayout, tuning) => {
+  const keys = [];
+  fretboardLayout.forEach((string, stringIndex) => {
+    for (let fretIndex = fretRange[0]; fretIndex <= fretRange[1] && fretIndex < string.length; fretIndex++) {
+      if (computeStringFretMidi(tuning, stringIndex, fretIndex) === midi) keys.push(getFretKey(stringIndex, fretIndex));
+    }
+  });
+  return keys;
+};
+
+// Open-string MIDI numbers for each instrument's default tuning, e.g. Guitar: E4 (64) on top -> E2 (40) at the bottom
+export const OPEN_STRING_MIDI = Object.fromEntries(
+  Object.entries(INSTRUMENTS).map(([name, def]) => [name, def.tunings[def.defaultTuning].map(pitchToMidi)])
+);
+// Accepts either a tuning (array of pitches) or an instrument name (its default tuning)
+export const computeStringFretMidi = (tuningOrInstrument, stringIndex, fretIndex) => {
+  const arr = Array.isArray(tuningOrInstrument)
+    ? tuningOrInstrument.map(p => (typeof p === 'number' ? p : pitchToMidi(p)))
+    : (OPEN_STRING_MIDI[tuningOrInstrument] || OPEN_STRING_MIDI['Guitar']);
+  const base = arr[stringIndex] != null ? arr[stringIndex] : arr[0];
+  return base + fretIndex;
+};
+
+// --- Tuning helpers ---
+export const isValidTuning = (tuning) => (
+  Array.isArray(tuning) &&
+  tuning.length >= MIN_STRINGS &&
+  tuning.length <= MAX_STRINGS &&
+  tuning.every(p => pitchToMidi(p) != null)
+);
+
+// Custom tunings are stored per instrument: { Guitar: { 'My Tuning': ['E4', ...] } }
+export const getTuningOptions = (instrument, customTunings = {}) => ({
+  ...INSTRUMENTS[instrument].tunings,
+  ...(customTunings[instrument] || {}),
+});
+
+export const resolveTuning = (instrument, tuningName, customTunings = {}) => {
+  const options = getTuningOptions(instrument, customTunings);
+  const tuning = options[tuningName];
+  return isValidTuning(tuning) ? tuning : INSTRUMENTS[instrument].tunings[INSTRUMENTS[instrument].defaultTuning];
+};
+
+// --- Neck length helpers (fret counts exclude the open string) ---
+export const getFretOptions = (instrument) => {
+  const max = Math.min(MAX_FRETS, INSTRUMENTS[instrument].maxFrets || MAX_FRETS);
+  return Array.from({ length: max - MIN_FRETS + 1 }, (_, i) => MIN_FRETS + i);
+};
+
+export const clampFretCount = (instrument, fretCount) => {
+  const options = getFretOptions(instrument);
+  return Math.max(options[0], Math.min(options[options.length - 1], fretCount));
+};
+
+// Keeps the selected range on the neck; a range that reached the old last fret follows the new one
+export const fitFretRange = ([start, end], previousFretCount, nextFretCount) => {
+  const nextEnd = end === previousFretCount ? nextFretCount : Math.min(end, nextFretCount);
+  return [Math.min(start, nextEnd), nextEnd];
+};
+
+// Inlays repeat every octave: single dots at 3/5/7/9 (15/17/19/21), double at 12 (24)
+export const getFretMarker = (fretIndex) => {
+  if (fretIndex <= 0) return null;
+  const octaveFret = ((fretIndex - 1) % 12) + 1;
+  if ([3, 5, 7, 9].includes(octaveFret)) return 'single';
+  if (octaveFret === 12) return 'double';
+  return null;
+};
+
+// How a fret is read out to screen readers: strings count from 1 at the top, like string 0 here
+export const describeFret = (stringIndex, fretIndex) => `string ${stringIndex + 1}, ${fretIndex === 0 ? 'open' : `fret ${fretIndex}`}`;
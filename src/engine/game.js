@@ -0,0 +1,183 @@
+// The game state machine (a reducer over plain actions) plus replaying a recorded action log.
+import { createSeededRandom } from './random.js';
+import { getGameMode, resolveModeOptions, collectFoundFret } from './gameModes.js';
+import { EMPTY_SCORE, getQuestionLabel, scoreMiss, closeSplit } from './scoring.js';
+
+// --- State Management (Reducer) ---
+export const initialState = {
+  gameStarted: false,
+  isGameOver: false,
+  isPracticeMode: false,
+  isReviewing: false,
+  timer: 0,
+  noteQueue: [],
+  noteQueueIndex: 0,
+  currentNote: '',
+  notesToFind: [],
+  message: 'Select an instrument and mode, then click "Play" to begin!',
+  foundFrets: [],
+  flashFret: null,
+  totalNotesInRound: 0,
+  totalFretsFoundInRound: 0,
+  shakeFret: null,
+  revealedFrets: {},
+  gameMode: null,
+  targetFrets: [],
+  referenceFret: null,
+  requiredFinds: 0,
+  chordDegrees: null,
+  positionShape: null,
+  scaleRun: null,
+  rhythm: null,
+  score: EMPTY_SCORE,
+};
+
+export function gameReducer(state, action) {
+  switch (action.type) {
+    case 'START_GAME': {
+      const { gameMode, isPractice, seed = null } = action.payload;
+      const mode = getGameMode(gameMode);
+      if (!mode) return { ...initialState, message: `Unknown mode "${gameMode}".` };
+      // A seed (Daily Challenge) makes the question order the same for everyone
+      const random = seed != null ? createSeededRandom(seed) : Math.random;
+      const round = mode.start({ ...resolveModeOptions(mode, action.payload), random });
+      if (round.error) return { ...initialState, message: round.error };
+      return {
+        ...initialState,
+        ...round,
+        gameStarted: true,
+        gameMode,
+        isPracticeMode: isPractice,
+      };
+    }
+    case 'STOP_GAME': {
+      return { ...initialState, message: 'Game Stopped. Click "Play" to start again!' };
+    }
+    case 'TICK_TIMER': {
+      if (!state.gameStarted || state.isGameOver || state.isPracticeMode) return state;
+      return { ...state, timer: state.timer + 0.01 };
+    }
+    case 'TICK_TIMER_DELTA': {
+      if (!state.gameStarted || state.isGameOver || state.isPracticeMode) return state;
+      return { ...state, timer: state.timer + (action.payload || 0) };
+    }
+    case 'CORRECT_GUESS': {
+      const mode = getGameMode(state.gameMode);
+      return (mode ? mode.onCorrectGuess : collectFoundFret)(state, action.payload.clickedFretKey);
+    }
+    case 'INCORRECT_GUESS': {
+      if (state.isPracticeMode) return state;
+      const score = scoreMiss(state.score, getQuestionLabel(state), action.payload && action.payload.missedFret);
+      const mode = getGameMode(state.gameMode);
+      if (mode && !mode.reviewsMistakes) return { ...state, score };
+      return {
+        ...state,
+        score,
+        message: 'Not quite! Here are the correct notes.',
+        isReviewing: true,
+      };
+    }
+    case 'END_REVIEW': {
+      return { ...state, isReviewing: false, message: 'Continue finding the notes.' };
+    }
+    case 'ADVANCE_NOTE': {
+      const newIndex = state.noteQueueIndex + 1;
+      const score = closeSplit(state.score, getQuestionLabel(state), state.timer);
+      if (newIndex >= state.noteQueue.length) {
+        const finalMessage = state.isPracticeMode ? 'Practice Complete!' : `Finished! Final Time: ${state.timer.toFixed(2)}s`;
+        return {
+          ...state,
+          score,
+          gameStarted: false,
+          isGameOver: true,
+          message: finalMessage,
+        }
+      }
+      return {
+        ...state,
+        ...getGameMode(state.gameMode).getQuestionState(state.noteQueue[newIndex]),
+        score,
+        foundFrets: [],
+        noteQueueIndex: newIndex,
+      };
+    }
+    case 'GAME_OVER': {
+      const finalMessage = state.isPracticeMode ? 'Practice Complete!' : `Finished! Final Time: ${action.payload.finalTime.toFixed(2)}s`;
+      return {
+        ...state,
+        score: closeSplit(state.score, getQuestionLabel(state), action.payload.finalTime),
+        gameStarted: false,
+        isGameOver: true,
+        message: finalMessage,
+      }
+    }
+    case 'CLEAR_FLASH': {
+      return { ...state, flashFret: null };
+    }
+    case 'FLASH_INCORRECT': {
+      return { ...state, shakeFret: action.payload.clickedFretKey };
+    }
+    case 'CLEAR_SHAKE': {
+      return { ...state, shakeFret: null };
+    }
+    case 'REVEAL_FRET': {
+      const { fretKey, note } = action.payload;
+      return { ...state, revealedFrets: { ...state.revealedFrets, [fretKey]: note } };
+    }
+    case 'HIDE_REVEAL': {
+      const { fretKey } = action.payload;
+      const updated = { ...state.revealedFrets };
+      delete updated[fretKey];
+      return { ...state, revealedFrets: updated };
+    }
+    default: {
+      // Mode-only actions (e.g. the rhythm drill's beats) go to the mode that declares them
+      const mode = getGameMode(state.gameMode);
+      const handler = mode && mode.actions[action.type];
+      return handler ? handler(state, action) : state;
+    }
+  }
+}
+
+// --- Session recording and replay ---
+export const REPLAY_FORMAT = 'fretboarder-replay';
+export const REPLAY_VERSION = 1;
+// Timer ticks are rebuilt from the timestamps on replay, so they are not stored
+export const UNRECORDED_ACTIONS = ['TICK_TIMER', 'TICK_TIMER_DELTA'];
+
+export const getReplayDuration = (recording) => {
+  const { actions } = recording;
+  return actions.length ? actions[actions.length - 1].t : 0;
+};
+
+// Game state `elapsedMs` into a recording: every action up to then, with the timer advanced between them
+export const getReplayState = (recording, elapsedMs) => {
+  let state = initialState;
+  let lastT = 0;
+  for (const { t, type, payload } of recording.actions) {
+    if (t > elapsedMs) break;
+    state = gameReducer(state, { type: 'TICK_TIMER_DELTA', payload: (t - lastT) / 1000 });
+    state = gameReducer(state, { type, payload });
+    lastT = t;
+  }
+  return gameReducer(state, { type: 'TICK_TIMER_DELTA', payload: Math.max(0, elapsedMs - lastT) / 1000 });
+};
+
+// Checks an imported file before it is replayed; throws with a message fit for the UI
+export const parseReplay = (text) => {
+  let recording;
+  try {
+    recording = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Not a JSON file.');
+  }
+  if (!recording || recording.format !== REPLAY_FORMAT) throw new Error('Not a FretBoarder replay.');
+  if (recording.version > REPLAY_VERSION) throw new Error('This replay was made by a newer version of FretBoarder.');
+  const { actions } = recording;
+  const start = Array.isArray(actions) && actions[0];
+  if (!start || start.type !== 'START_GAME' || !start.payload || !Array.isArray(start.payload.fretboardLayout)) {
+    throw new Error('The replay has no game to show.');
+  }
+  if (!actions.every(a => a && typeof a.type === 'string' && Number.isFinite(a.t))) throw new Error('The replay is damaged.');
+  return recording;
+};
@@ -0,0 +1,337 @@
+// Game-mode registry. Each drill declares the same pieces: its setup options (with defaults), how it builds a
+// round, what counts as a right answer, when a question is done, and which toolbar controls it shows.
+// gameReducer only goes through these, so a new drill is one registerGameMode call.
+import { WHOLE_NOTES, includesPitchClass, spellPitchClass, getNotesInScale, resolveScale } from './theory.js';
+import { findAllNotePositions } from './fretboard.js';
+import { shuffleArray } from './random.js';
+import { DEFAULT_INTERVALS, buildIntervalQuestions, getIntervalQuestionState, buildChordQueue, getChordQuestionState, buildNameNoteQueue, getNameNoteQuestionState, buildEarQueue, getEarQuestionState, buildRhythmQueue, getRhythmQuestionState, closeRhythmWindow, summarizeRhythmResults, SCALE_RUN_PATTERNS, buildScaleRun, getScaleRunStepState } from './modes.js';
+import { buildAdaptiveQueue } from './practice.js';
+import { getScalePosition } from './positions.js';
+import { scoreHit, scoreMiss, closeSplit } from './scoring.js';
+
+export const GAME_MODE_REGISTRY = {};
+
+// --- Shared rules ---
+// Explicit target frets (intervals, ear training) decide on their own; otherwise any fret of a target pitch class counts
+export const isTargetAnswer = (state, { fretKey, note }) => (
+  state.targetFrets.length ? state.targetFrets.includes(fretKey) : includesPitchClass(state.notesToFind, note)
+);
+
+// Done once every in-range position of the target notes is found
+export const isEveryPositionFound = (state, { fretRange, fretboardLayout }) => {
+  const positions = findAllNotePositions(state.notesToFind, fretRange, fretboardLayout);
+  return positions.length > 0 && state.foundFrets.length === positions.length;
+};
+
+// Done once the question's own count of finds is reached
+export const hasRequiredFinds = (state) => state.requiredFinds > 0 && state.foundFrets.length >= state.requiredFinds;
+
+// A right answer adds its fret to the found ones; each fret counts once
+export const collectFoundFret = (state, fretKey) => {
+  if (state.foundFrets.includes(fretKey)) {
+    return { ...state, message: "You already found that one!" };
+  }
+  return {
+    ...state,
+    score: scoreHit(state.score),
+    message: 'Correct!',
+    foundFrets: [...state.foundFrets, fretKey],
+    flashFret: fretKey,
+    totalFretsFoundInRound: state.totalFretsFoundInRound + 1,
+  };
+};
+
+const advanceQuestion = () => ({ type: 'ADVANCE_NOTE' });
+
+// A queue of question objects: the first one's state opens the round
+const startQuestionRound = (noteQueue, getQuestionState, totalNotesInRound = noteQueue.length) => ({
+  ...getQuestionState(noteQueue[0]),
+  noteQueue,
+  totalNotesInRound,
+});
+
+// Everything but `id`, `label` and `start` is optional
+const MODE_DEFAULTS = {
+  menuLabel: null,              // toolbar menu entry; falls back to `label`
+  promptLabel: 'Note:',         // caption beside the current target
+  options: {},                  // START_GAME payload fields this mode reads, with their defaults
+  controls: [],                 // toolbar control ids, rendered in this order
+  allowsNaturals: false,        // whether "Natural Notes Only" applies
+  answersWith: 'fret',          // 'fret': answer by playing a fret; 'name': answer by naming the highlighted one
+  reviewsMistakes: true,        // pause on a wrong answer to show the right frets
+  getQuestionState: null,       // queued question -> state fields, used when moving to the next one
+  isCorrect: isTargetAnswer,
+  isQuestionComplete: isEveryPositionFound,
+  onCorrectGuess: collectFoundFret, // (state, fretKey) -> state after a right answer
+  completeQuestion: advanceQuestion, // state -> the action to dispatch once a question is done
+  actions: {},                  // mode-only action types -> (state, action) => state
+};
+
+export const registerGameMode = (id, definition) => {
+  GAME_MODE_REGISTRY[id] = { ...MODE_DEFAULTS, ...definition, id, menuLabel: definition.menuLabel || definition.label };
+  return GAME_MODE_REGISTRY[id];
+};
+
+export const getGameMode = (id) => GAME_MODE_REGISTRY[id] || null;
+
+// A mode's options filled in from a START_GAME payload; missing (undefined) fields keep the defaults
+export const resolveModeOptions = (mode, payload) => ({
+  ...mode.options,
+  ...Object.fromEntries(Object.entries(payload).filter(([, value]) => value !== undefined)),
+});
+
+// --- Built-in modes ---
+const findNoteQuestionState = (note) => ({
+  currentNote: note,
+  notesToFind: [note],
+  message: `All found! Now find all the ${note} notes!`,
+});
+
+registerGameMode('findNote', {
+  label: '🎯 Note Cycle',
+  menuLabel: 'Note Cycle',
+  options: { isWholeNotesMode: false, noteSpelling: 'sharps', noteWeights: null },
+  controls: ['noteSpelling', 'queueStrategy', 'naturals'],
+  allowsNaturals: true,
+  getQuestionState: findNoteQuestionState,
+  start: ({ fretRange, fretboardLayout, isWholeNotesMode, noteSpelling, noteWeights, isPractice, random }) => {
+    const notesInRange = new Set();
+    fretboardLayout.forEach(string => {
+      for (let fIndex = fretRange[0]; fIndex <= fretRange[1]; fIndex++) {
+        const note = string[fIndex];
+        if (!isWholeNotesMode || WHOLE_NOTES.includes(note)) {
+          notesInRange.add(note);
+        }
+      }
+    });
+    // 'mixed' spells each accidental as a sharp or a flat at random so both names get drilled
+    const orderedNotes = noteWeights ? buildAdaptiveQueue([...notesInRange], noteWeights, random) : shuffleArray([...notesInRange], random);
+    const noteQueue = orderedNotes.map(note => spellPitchClass(
+      note,
+      noteSpelling === 'mixed' ? (random() < 0.5 ? 'sharps' : 'flats') : noteSpelling
+    ));
+    if (noteQueue.length === 0) return { error: 'No notes available in this range.' };
+    const firstNote = noteQueue[0];
+    return {
+      noteQueue,
+      currentNote: isPractice ? '' : firstNote,
+      notesToFind: [firstNote],
+      message: `Find all the ${firstNote} notes!`,
+      totalNotesInRound: noteQueue.reduce((sum, note) => sum + findAllNotePositions([note], fretRange, fretboardLayout).length, 0),
+    };
+  },
+});
+
+// Runs move through their steps one right note at a time; a fret may come round again, so the found
+// frets are a trail of what was played, minus the next step's frets so a hint can still show them
+const playScaleRunStep = (state, fretKey) => {
+  const index = state.scaleRun.index + 1;
+  const next = state.scaleRun.steps[index];
+  const trail = state.foundFrets.includes(fretKey) ? state.foundFrets : [...state.foundFrets, fretKey];
+  return {
+    ...state,
+    ...(next ? getScaleRunStepState(next) : { currentNote: '', targetFrets: [] }),
+    score: scoreHit(state.score),
+    message: next ? `Correct! Next: ${next.note}` : 'Run complete!',
+    foundFrets: next ? trail.filter(key => !next.frets.includes(key)) : trail,
+    flashFret: fretKey,
+    totalFretsFoundInRound: state.totalFretsFoundInRound + 1,
+    scaleRun: { ...state.scaleRun, index },
+  };
+};
+
+registerGameMode('scaleDrill', {
+  label: '🎼 Scale Drill',
+  menuLabel: 'Scale Drill',
+  promptLabel: 'Scale:',
+  options: { rootNote: 'C', scaleType: 'Major', customScales: {}, scalePosition: 'all', scaleRun: 'free' },
+  controls: ['rootNote', 'scaleType', 'scalePosition', 'scaleRun'],
+  allowsNaturals: true,
+  // One question: the whole scale, or just the frets of one position, found in any order or played as a run;
+  // finishing it ends the round
+  start: ({ rootNote, scaleType, customScales, scalePosition, scaleRun, fretRange, fretboardLayout, tuning, isPractice }) => {
+    const scaleIntervals = resolveScale(scaleType, customScales);
+    const notesToFind = getNotesInScale(rootNote, scaleIntervals);
+    const fretCount = fretboardLayout[0].length - 1;
+    // A position the scale doesn't have (e.g. left over from another scale) falls back to the whole range
+    const shape = scalePosition === 'all' ? null : getScalePosition({ rootNote, scaleIntervals, tuning, fretRange, fretCount, position: scalePosition });
+    if (shape && shape.frets.length === 0) return { error: `${shape.label} doesn't fit in this fret range.` };
+    const scaleName = shape ? `${rootNote} ${scaleType}, ${shape.label}` : `${rootNote} ${scaleType}`;
+
+    if (scaleRun !== 'free' && SCALE_RUN_PATTERNS[scaleRun]) {
+      const frets = shape ? shape.frets : findAllNotePositions(notesToFind, fretRange, fretboardLayout);
+      const steps = buildScaleRun({ frets, tuning, pattern: scaleRun, notesToFind });
+      if (steps.length < 2) return { error: 'Not enough notes in this range for a run.' };
+      return {
+        ...getScaleRunStepState(steps[0]),
+        notesToFind,
+        positionShape: shape,
+        scaleRun: { pattern: scaleRun, steps, index: 0 },
+        message: `Play ${scaleName} ${SCALE_RUN_PATTERNS[scaleRun].toLowerCase()}, starting on ${steps[0].note}!`,
+        totalNotesInRound: steps.length,
+      };
+    }
+    if (!shape) {
+      return {
+        notesToFind,
+        message: isPractice ? `Practice the ${scaleName} scale.` : `Find all notes in ${scaleName}!`,
+        totalNotesInRound: findAllNotePositions(notesToFind, fretRange, fretboardLayout).length,
+      };
+    }
+    return {
+      notesToFind,
+      targetFrets: shape.frets,
+      requiredFinds: shape.frets.length,
+      positionShape: shape,
+      message: isPractice ? `Practice ${scaleName}.` : `Find ${scaleName}!`,
+      totalNotesInRound: shape.frets.length,
+    };
+  },
+  isQuestionComplete: (state, context) => {
+    if (state.scaleRun) return state.scaleRun.index >= state.scaleRun.steps.length;
+    return state.targetFrets.length ? hasRequiredFinds(state) : isEveryPositionFound(state, context);
+  },
+  onCorrectGuess: (state, fretKey) => (state.scaleRun ? playScaleRunStep(state, fretKey) : collectFoundFret(state, fretKey)),
+  completeQuestion: (state) => ({ type: 'GAME_OVER', payload: { finalTime: state.timer } }),
+});
+
+registerGameMode('intervalDrill', {
+  label: '📐 Intervals',
+  menuLabel: 'Interval Trainer',
+  promptLabel: 'Interval:',
+  options: { intervalKeys: DEFAULT_INTERVALS, intervalTarget: 'above' },
+  controls: ['intervalKeys', 'intervalTarget'],
+  getQuestionState: getIntervalQuestionState,
+  start: ({ intervalKeys, intervalTarget, fretRange, fretboardLayout, tuning, random }) => {
+    const noteQueue = buildIntervalQuestions({ intervalKeys, intervalTarget, fretRange, fretboardLayout, tuning, random });
+    if (noteQueue.length === 0) return { error: 'No intervals fit in this range.' };
+    const totalNotesInRound = noteQueue.reduce((sum, q) => sum + getIntervalQuestionState(q).requiredFinds, 0);
+    return startQuestionRound(noteQueue, getIntervalQuestionState, totalNotesInRound);
+  },
+  isQuestionComplete: hasRequiredFinds,
+});
+
+registerGameMode('chordDrill', {
+  label: '🎹 Chord Tones',
+  menuLabel: 'Chord Tones',
+  promptLabel: 'Chord:',
+  options: { rootNote: 'C', chordType: 'maj7', chordProgression: 'single' },
+  controls: ['chordProgression', 'chordRoot', 'chordType'],
+  getQuestionState: getChordQuestionState,
+  start: ({ rootNote, chordType, chordProgression, fretRange, fretboardLayout }) => {
+    const noteQueue = buildChordQueue(rootNote, chordType, chordProgression);
+    const totalNotesInRound = noteQueue.reduce((sum, chord) => (
+      sum + findAllNotePositions(getChordQuestionState(chord).notesToFind, fretRange, fretboardLayout).length
+    ), 0);
+    if (totalNotesInRound === 0) return { error: 'No chord tones in this range.' };
+    return startQuestionRound(noteQueue, getChordQuestionState, totalNotesInRound);
+  },
+  // A progression chord with no tones in range is skipped rather than stalling the round
+  isQuestionComplete: (state, { fretRange, fretboardLayout }) => (
+    state.foundFrets.length === findAllNotePositions(state.notesToFind, fretRange, fretboardLayout).length
+  ),
+});
+
+registerGameMode('nameNote', {
+  label: '🔤 Name That Note',
+  menuLabel: 'Name That Note',
+  promptLabel: 'Name:',
+  options: { isWholeNotesMode: false, noteWeights: null, fretWeights: null },
+  controls: ['queueStrategy', 'naturals'],
+  allowsNaturals: true,
+  answersWith: 'name',
+  getQuestionState: getNameNoteQuestionState,
+  start: ({ fretRange, fretboardLayout, isWholeNotesMode, noteWeights, fretWeights, random }) => {
+    const noteQueue = buildNameNoteQueue({ fretRange, fretboardLayout, isWholeNotesMode, noteWeights, fretWeights, random });
+    if (noteQueue.length === 0) return { error: 'No notes available in this range.' };
+    return startQuestionRound(noteQueue, getNameNoteQuestionState);
+  },
+  // The answer is a note name for the highlighted fret
+  isCorrect: (state, { note }) => includesPitchClass(state.notesToFind, note),
+  isQuestionComplete: hasRequiredFinds,
+});
+
+registerGameMode('earTraining', {
+  label: '👂 Ear Training',
+  menuLabel: 'Ear Training',
+  promptLabel: 'Pitch:',
+  options: { earDifficulty: 'medium' },
+  controls: ['earDifficulty', 'earReference'],
+  getQuestionState: getEarQuestionState,
+  start: ({ earDifficulty, fretRange, fretboardLayout, tuning, random }) => {
+    const noteQueue = buildEarQueue({ difficulty: earDifficulty, fretRange, fretboardLayout, tuning, random });
+    if (noteQueue.length === 0) return { error: 'No pitches available in this range.' };
+    return startQuestionRound(noteQueue, getEarQuestionState);
+  },
+  isQuestionComplete: hasRequiredFinds,
+});
+
+registerGameMode('rhythmDrill', {
+  label: '🥁 Rhythm',
+  menuLabel: 'Rhythm (metronome)',
+  promptLabel: 'Beat:',
+  options: { isWholeNotesMode: false, noteSpelling: 'sharps', rhythmBpm: 80, rhythmBeats: 4, isRhythmRampOn: false },
+  controls: ['rhythmBpm', 'rhythmBeats', 'rhythmRamp'],
+  allowsNaturals: true,
+  // The metronome keeps going, so there is no pause to review
+  reviewsMistakes: false,
+  getQuestionState: getRhythmQuestionState,
+  start: ({ fretRange, fretboardLayout, isWholeNotesMode, noteSpelling, rhythmBpm, rhythmBeats, isRhythmRampOn, random }) => {
+    // 'mixed' spells each question's accidental at random, as in Note Cycle
+    const noteQueue = buildRhythmQueue({ fretRange, fretboardLayout, isWholeNotesMode, random }).map(note => spellPitchClass(
+      note,
+      noteSpelling === 'mixed' ? (random() < 0.5 ? 'sharps' : 'flats') : noteSpelling
+    ));
+    if (noteQueue.length === 0) return { error: 'No notes available in this range.' };
+    return {
+      ...startQuestionRound(noteQueue, getRhythmQuestionState),
+      rhythm: { bpm: rhythmBpm, startBpm: rhythmBpm, beatsPerNote: rhythmBeats, beatsLeft: rhythmBeats, isRampOn: isRhythmRampOn, cleanStreak: 0, answer: null, results: [] },
+    };
+  },
+  // Questions move on with the beat (RHYTHM_BEAT), not when a note is found
+  isQuestionComplete: () => false,
+  actions: {
+    // The first answer in a beat window counts; the next question waits for the beat
+    RHYTHM_ANSWER: (state, action) => {
+      if (!state.gameStarted || !state.rhythm || state.rhythm.answer) return state;
+      const { isCorrect, offsetMs } = action.payload;
+      return {
+        ...state,
+        message: isCorrect ? 'Got it! Next note on the beat…' : 'Missed! Next note on the beat…',
+        rhythm: { ...state.rhythm, answer: { hit: isCorrect, offsetMs: isCorrect ? offsetMs : null } },
+      };
+    },
+    RHYTHM_BEAT: (state) => {
+      if (!state.gameStarted || !state.rhythm) return state;
+      const beatsLeft = state.rhythm.beatsLeft - 1;
+      if (!state.rhythm.answer && beatsLeft > 0) {
+        return { ...state, rhythm: { ...state.rhythm, beatsLeft } };
+      }
+      const rhythm = closeRhythmWindow(state.rhythm, state.currentNote);
+      // A window that closes unanswered is a miss too
+      const scored = state.rhythm.answer ? state.score : scoreMiss(state.score, state.currentNote);
+      const score = closeSplit(scored, state.currentNote, state.timer);
+      const newIndex = state.noteQueueIndex + 1;
+      if (newIndex >= state.noteQueue.length) {
+        const { hits, onBeat, total } = summarizeRhythmResults(rhythm.results);
+        return {
+          ...state,
+          rhythm,
+          score,
+          gameStarted: false,
+          isGameOver: true,
+          message: state.isPracticeMode ? 'Practice Complete!' : `Finished! ${hits}/${total} in time, ${onBeat} on the beat.`,
+        };
+      }
+      return {
+        ...state,
+        ...getRhythmQuestionState(state.noteQueue[newIndex]),
+        rhythm,
+        score,
+        foundFrets: [],
+        noteQueueIndex: newIndex,
+        totalFretsFoundInRound: newIndex,
+      };
+    },
+  },
+});
@@ -0,0 +1,34 @@
+// FretBoarder engine: the music theory, fretboard mapping and game logic behind the app, with no React,
+// DOM or audio dependencies. Import it from a browser bundle or straight from Node:
+//
+//   import { pitchToMidi, generateFretboardLayout, gameReducer, initialState } from './src/engine/index.js';
+//
+// Notes and pitches (theory.js)
+//   parsePitch('Bb1') -> { midi: 34, pitchClass: 'A#', octave: 1 }; pitchToMidi / midiToPitch / midiToPitchClass
+//   toPitchClass('Bb') -> 'A#'; spellPitchClass('A#', 'flats') -> 'Bb'; parseTypedNote('f#') -> 'F#'
+//   transposePitch('E2', 5) -> 'A2'; transposeNote('Bb', 2, 'flats') -> 'C'
+//   getNotesInScale('F', SCALES['Major']); spellInterval('G', 'm6') -> 'Eb'; getChordTones('B', 'm7b5')
+//   parseScalePattern('W-W-H-W-W-W-H') or ('1 2 b3 4 5 b6 7') -> semitones; resolveScale(name, customScales)
+// Fretboard mapping (fretboard.js, positions.js)
+//   INSTRUMENTS, resolveTuning, generateFretboardLayout(tuning, fretCount) -> note names per string
+//   computeStringFretMidi(tuning, stringIndex, fretIndex); findAllNotePositions -> ['stringIndex-fretIndex', ...]
+//   getScalePosition({ rootNote, scaleIntervals, tuning, fretRange, fretCount, position: 'caged-1' }) -> frets of a shape
+//   buildScaleRun({ frets, tuning, pattern: 'thirds', notesToFind }) -> the ordered steps of a scale run
+// Game state machine (game.js, gameModes.js, modes.js, scoring.js)
+//   gameReducer(state, action) with initialState; START_GAME takes the drill settings plus fretboardLayout and
+//   tuning, then CORRECT_GUESS / INCORRECT_GUESS / ADVANCE_NOTE / TICK_TIMER_DELTA drive the round.
+//   Each mode lives in GAME_MODE_REGISTRY; registerGameMode(id, { label, options, start, ... }) adds one.
+//   getReplayState(recording, elapsedMs) folds a recorded action log back into a state.
+// Also: practice.js (stats, heatmaps, adaptive queues), drills.js (shareable config, Daily Challenge),
+// input.js (pitch detection, MIDI messages, arrow-key moves on the fretboard) and random.js (seeded randomness).
+export * from './theory.js';
+export * from './fretboard.js';
+export * from './positions.js';
+export * from './random.js';
+export * from './modes.js';
+export * from './gameModes.js';
+export * from './practice.js';
+export * from './scoring.js';
+export * from './game.js';
+export * from './input.js';
+export * from './drills.js';
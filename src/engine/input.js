@@ -0,0 +1,138 @@
+// Signal-level input: pitch detection on raw samples, Web MIDI message decoding and keyboard moves on the fretboard.
+import { WHOLE_NOTES, midiToPitchClass, includesPitchClass, frequencyToMidi } from './theory.js';
+import { getFretKey, computeStringFretMidi } from './fretboard.js';
+
+// --- Pitch Detection (microphone input) ---
+// YIN pitch estimate for one frame of mono samples. Returns { frequency, midi, clarity } or null for silence/noise.
+export const detectPitch = (samples, sampleRate, options = {}) => {
+  const { minFrequency = 30, maxFrequency = 1500, threshold = 0.15, minRms = 0.01 } = options;
+  const n = samples.length;
+  let energy = 0;
+  for (let i = 0; i < n; i++) energy += samples[i] * samples[i];
+  if (Math.sqrt(energy / n) < minRms) return null;
+
+  const maxTau = Math.min(Math.floor(sampleRate / minFrequency), Math.floor(n / 2));
+  const minTau = Math.max(2, Math.floor(sampleRate / maxFrequency));
+  const windowSize = n - maxTau;
+  const diff = new Float32Array(maxTau + 1);
+  for (let tau = 1; tau <= maxTau; tau++) {
+    let sum = 0;
+    for (let i = 0; i < windowSize; i++) {
+      const d = samples[i] - samples[i + tau];
+      sum += d * d;
+    }
+    diff[tau] = sum;
+  }
+
+  // Cumulative mean normalized difference
+  const cmnd = new Float32Array(maxTau + 1);
+  cmnd[0] = 1;
+  let running = 0;
+  for (let tau = 1; tau <= maxTau; tau++) {
+    running += diff[tau];
+    cmnd[tau] = running ? (diff[tau] * tau) / running : 1;
+  }
+
+  let tau = -1;
+  for (let t = minTau; t <= maxTau; t++) {
+    if (cmnd[t] < threshold) {
+      while (t + 1 <= maxTau && cmnd[t + 1] < cmnd[t]) t++;
+      tau = t;
+      break;
+    }
+  }
+  if (tau === -1) return null;
+
+  // Parabolic interpolation around the dip for sub-sample accuracy
+  let refinedTau = tau;
+  if (tau > 1 && tau < maxTau) {
+    const [s0, s1, s2] = [cmnd[tau - 1], cmnd[tau], cmnd[tau + 1]];
+    const denom = s0 + s2 - 2 * s1;
+    if (denom) refinedTau = tau + (s0 - s2) / (2 * denom);
+  }
+  const frequency = sampleRate / refinedTau;
+  return { frequency, midi: frequencyToMidi(frequency), clarity: 1 - cmnd[tau] };
+};
+
+// Turns a stream of per-frame detections into note onsets: a pitch must hold for `stableFrames`
+// frames to count, and the same note only counts again after it stops or another note is played.
+export const createNoteOnsetTracker = ({ stableFrames = 3 } = {}) => {
+  let candidate = null;
+  let count = 0;
+  let lastEmitted = null;
+  let silentFrames = 0;
+  return (detection) => {
+    if (!detection) {
+      silentFrames++;
+      candidate = null;
+      count = 0;
+      if (silentFrames >= stableFrames) lastEmitted = null;
+      return null;
+    }
+    silentFrames = 0;
+    const midi = Math.round(detection.midi);
+    if (midi === candidate) count++;
+    else { candidate = midi; count = 1; }
+    if (count === stableFrames && midi !== lastEmitted) {
+      lastEmitted = midi;
+      return midi;
+    }
+    return null;
+  };
+};
+
+// Picks the fret a detected pitch answers. Octave-exact matching compares MIDI numbers via the tuning;
+// otherwise any in-range fret with the same pitch class counts, preferring unfound frets closest in pitch.
+export const matchPitchToFret = ({ midi, notesToFind, targetFrets = [], foundFrets, fretRange, fretboardLayout, tuning, isOctaveExact, isWholeNotesMode }) => {
+  const pitchClass = midiToPitchClass(midi);
+  const candidates = [];
+  fretboardLayout.forEach((string, stringIndex) => {
+    for (let fretIndex = fretRange[0]; fretIndex <= fretRange[1] && fretIndex < string.length; fretIndex++) {
+      const note = string[fretIndex];
+      if (isWholeNotesMode && !WHOLE_NOTES.includes(note)) continue;
+      const fretMidi = computeStringFretMidi(tuning, stringIndex, fretIndex);
+      if (isOctaveExact ? fretMidi !== midi : note !== pitchClass) continue;
+      const key = getFretKey(stringIndex, fretIndex);
+      candidates.push({ stringIndex, fretIndex, distance: Math.abs(fretMidi - midi), isFound: foundFrets.includes(key), isTarget: targetFrets.includes(key) });
+    }
+  });
+  if (candidates.length === 0) return { isCorrect: false };
+  candidates.sort((a, b) => (b.isTarget - a.isTarget) || (a.isFound - b.isFound) || (a.distance - b.distance) || (a.fretIndex - b.fretIndex));
+  const { stringIndex, fretIndex, isTarget } = candidates[0];
+  // Explicit target frets (intervals) decide on their own; otherwise any fret of a target pitch class counts
+  return { stringIndex, fretIndex, isCorrect: targetFrets.length ? isTarget : includesPitchClass(notesToFind, pitchClass) };
+};
+
+// --- Web MIDI input (MIDI guitars and keyboards) ---
+// Returns { channel (0-15), note, velocity } for note-on messages; note-on with velocity 0 is a note-off.
+export const parseMidiMessage = (data) => {
+  if (!data || data.length < 3) return null;
+  const [status, note, velocity] = data;
+  if ((status & 0xf0) !== 0x90 || velocity === 0) return null;
+  return { channel: status & 0x0f, note, velocity };
+};
+
+// Guitar controllers send one channel per string: channel 1 = top (highest) string, matching our
+// string order. The fret is the distance from that string's open pitch in the active tuning.
+export const mapMidiGuitarNote = ({ channel, note }, tuning, fretCount) => {
+  if (channel >= tuning.length) return null;
+  const fretIndex = note - computeStringFretMidi(tuning, channel, 0);
+  if (fretIndex < 0 || fretIndex > fretCount) return null;
+  return { stringIndex: channel, fretIndex };
+};
+
+// --- Keyboard input (the fretboard as a grid) ---
+// The cell a key moves focus to: up/down step across strings (string 0 is on top), left/right along
+// the neck, Home/End jump to the ends of the fret range. Null for keys that don't move focus.
+export const moveFretFocus = ({ stringIndex, fretIndex }, key, { stringCount, fretCount, fretRange = [0, fretCount] }) => {
+  const clamp = (value, max) => Math.max(0, Math.min(max, value));
+  switch (key) {
+    case 'ArrowUp': return { stringIndex: clamp(stringIndex - 1, stringCount - 1), fretIndex };
+    case 'ArrowDown': return { stringIndex: clamp(stringIndex + 1, stringCount - 1), fretIndex };
+    case 'ArrowLeft': return { stringIndex, fretIndex: clamp(fretIndex - 1, fretCount) };
+    case 'ArrowRight': return { stringIndex, fretIndex: clamp(fretIndex + 1, fretCount) };
+    case 'Home': return { stringIndex, fretIndex: clamp(fretRange[0], fretCount) };
+    case 'End': return { stringIndex, fretIndex: clamp(fretRange[1], fretCount) };
+    default: return null;
+  }
+};
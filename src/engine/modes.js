@@ -0,0 +1,262 @@
+// Question builders for each drill mode. Every builder is pure; randomness comes in as an argument.
+import { WHOLE_NOTES, SCALES, PROGRESSIONS, INTERVALS, pitchToMidi, midiToPitchClass, midiToPitch, toPitchClass, getNotesInScale, spellForContext, spellInterval, getChordSymbol, getChordTones } from './theory.js';
+import { getFretKey, computeStringFretMidi, findIntervalTargets, findExactPitchFrets } from './fretboard.js';
+import { shuffleArray, pickWeighted } from './random.js';
+import { RECALL_UNSEEN_WEIGHT, buildAdaptiveQueue } from './practice.js';
+
+// --- Interval drill helpers ---
+export const DEFAULT_INTERVALS = ['m3', 'M3', 'P4', 'P5', 'm6', 'M6'];
+export const INTERVAL_QUESTIONS = 12;
+
+export const buildIntervalQuestions = ({ intervalKeys, intervalTarget, fretRange, fretboardLayout, tuning, count = INTERVAL_QUESTIONS, random = Math.random }) => {
+  const references = [];
+  fretboardLayout.forEach((string, stringIndex) => {
+    for (let fretIndex = fretRange[0]; fretIndex <= fretRange[1] && fretIndex < string.length; fretIndex++) {
+      references.push({ stringIndex, fretIndex });
+    }
+  });
+  const questions = [];
+  if (references.length === 0 || intervalKeys.length === 0) return questions;
+  // Random picks can land where the interval is off the board; give up after a generous number of tries
+  for (let attempts = 0; questions.length < count && attempts < count * 20; attempts++) {
+    const reference = references[Math.floor(random() * references.length)];
+    const intervalKey = intervalKeys[Math.floor(random() * intervalKeys.length)];
+    const targetFrets = findIntervalTargets({ ...reference, intervalKey, intervalTarget, fretRange, fretboardLayout, tuning });
+    if (targetFrets.length === 0) continue;
+    const referenceNote = fretboardLayout[reference.stringIndex][reference.fretIndex];
+    questions.push({
+      referenceFret: getFretKey(reference.stringIndex, reference.fretIndex),
+      referenceNote,
+      referenceMidi: computeStringFretMidi(tuning, reference.stringIndex, reference.fretIndex),
+      intervalKey,
+      intervalTarget,
+      targetNote: spellInterval(referenceNote, intervalKey),
+      targetFrets,
+    });
+  }
+  return questions;
+};
+
+// State fields for the interval question currently being asked
+export const getIntervalQuestionState = (question) => ({
+  currentNote: question.targetNote,
+  notesToFind: [question.targetNote],
+  targetFrets: question.targetFrets,
+  referenceFret: question.referenceFret,
+  requiredFinds: question.intervalTarget === 'all' ? question.targetFrets.length : 1,
+  message: question.intervalTarget === 'all'
+    ? `Find every ${INTERVALS[question.intervalKey].name} of ${question.referenceNote}!`
+    : `Find the ${INTERVALS[question.intervalKey].name} above ${question.referenceNote}!`,
+});
+
+// --- Chord drill helpers ---
+// One chord, or every chord of a progression in the given key
+export const buildChordQueue = (rootNote, chordType, progressionName) => {
+  const progression = PROGRESSIONS[progressionName];
+  if (!progression) return [{ rootNote, chordType, numeral: null }];
+  const keyNotes = getNotesInScale(rootNote, SCALES[progression.scale]);
+  return progression.chords.map(({ numeral, degree, chord }) => ({ rootNote: keyNotes[degree - 1], chordType: chord, numeral }));
+};
+
+// State fields for the chord currently being drilled; chordDegrees maps pitch class -> degree for coloring
+export const getChordQuestionState = ({ rootNote, chordType, numeral }) => {
+  const tones = getChordTones(rootNote, chordType);
+  const symbol = getChordSymbol(rootNote, chordType);
+  return {
+    currentNote: symbol,
+    notesToFind: tones.map(t => t.note),
+    chordDegrees: Object.fromEntries(tones.map(t => [toPitchClass(t.note), t.degree])),
+    message: `${numeral ? `${numeral}: ` : ''}Find every tone of ${symbol} (${tones.map(t => `${t.degree}=${t.note}`).join(' ')})!`,
+  };
+};
+
+// --- Name-that-note helpers ---
+// One random in-range position per distinct note, so a round is as long as a Note Cycle round
+// Adaptive rounds (with `noteWeights`/`fretWeights`) favour weak notes and weak positions
+export const buildNameNoteQueue = ({ fretRange, fretboardLayout, isWholeNotesMode, noteWeights, fretWeights, random = Math.random }) => {
+  const positionsByNote = {};
+  fretboardLayout.forEach((string, stringIndex) => {
+    for (let fretIndex = fretRange[0]; fretIndex <= fretRange[1] && fretIndex < string.length; fretIndex++) {
+      const note = string[fretIndex];
+      if (isWholeNotesMode && !WHOLE_NOTES.includes(note)) continue;
+      (positionsByNote[note] = positionsByNote[note] || []).push(getFretKey(stringIndex, fretIndex));
+    }
+  });
+  if (noteWeights) {
+    return buildAdaptiveQueue(Object.keys(positionsByNote), noteWeights, random).map(note => ({
+      note,
+      fretKey: pickWeighted(positionsByNote[note], key => (fretWeights && fretWeights[key] != null ? fretWeights[key] : RECALL_UNSEEN_WEIGHT), random),
+    }));
+  }
+  return shuffleArray(Object.entries(positionsByNote).map(([note, keys]) => ({
+    note,
+    fretKey: keys[Math.floor(random() * keys.length)],
+  })), random);
+};
+
+export const getNameNoteQuestionState = ({ note, fretKey }) => ({
+  currentNote: '',
+  notesToFind: [note],
+  targetFrets: [fretKey],
+  referenceFret: fretKey,
+  requiredFinds: 1,
+  message: 'Which note is highlighted?',
+});
+
+// --- Ear training helpers ---
+// Difficulty limits which strings (counted from the lowest) and how many octaves the hidden pitch comes from
+export const EAR_DIFFICULTIES = {
+  easy:   { label: 'Easy',   strings: 2,        octaves: 1,        naturalsOnly: true },
+  medium: { label: 'Medium', strings: 4,        octaves: 2,        naturalsOnly: false },
+  hard:   { label: 'Hard',   strings: Infinity, octaves: Infinity, naturalsOnly: false },
+};
+export const EAR_QUESTIONS = 10;
+
+export const getEarPitchPool = ({ difficulty, fretRange, fretboardLayout, tuning }) => {
+  const { strings, octaves, naturalsOnly } = EAR_DIFFICULTIES[difficulty] || EAR_DIFFICULTIES.medium;
+  const firstString = Math.max(0, fretboardLayout.length - strings);
+  const pitches = new Set();
+  for (let stringIndex = firstString; stringIndex < fretboardLayout.length; stringIndex++) {
+    for (let fretIndex = fretRange[0]; fretIndex <= fretRange[1] && fretIndex < fretboardLayout[stringIndex].length; fretIndex++) {
+      if (naturalsOnly && !WHOLE_NOTES.includes(fretboardLayout[stringIndex][fretIndex])) continue;
+      pitches.add(computeStringFretMidi(tuning, stringIndex, fretIndex));
+    }
+  }
+  const sorted = [...pitches].sort((a, b) => a - b);
+  return sorted.filter(midi => midi < sorted[0] + 12 * octaves);
+};
+
+export const buildEarQueue = ({ difficulty, fretRange, fretboardLayout, tuning, count = EAR_QUESTIONS, random = Math.random }) => {
+  const pool = getEarPitchPool({ difficulty, fretRange, fretboardLayout, tuning });
+  const queue = [];
+  for (let i = 0; i < count && pool.length > 0; i++) {
+    // Avoid asking the same pitch twice in a row when there's a choice
+    const choices = pool.length > 1 && queue.length ? pool.filter(m => m !== queue[queue.length - 1].midi) : pool;
+    const midi = choices[Math.floor(random() * choices.length)];
+    queue.push({ midi, targetFrets: findExactPitchFrets(midi, fretRange, fretboardLayout, tuning) });
+  }
+  return queue;
+};
+
+// The A at or above the lowest open string, for an optional reference tone
+export const getReferencePitch = (tuning) => {
+  const lowest = Math.min(...tuning.map(pitchToMidi));
+  return midiToPitch(lowest + ((9 - (lowest % 12) + 12) % 12));
+};
+
+export const getEarQuestionState = ({ midi, targetFrets }) => ({
+  currentNote: '',
+  notesToFind: [midiToPitchClass(midi)],
+  targetFrets,
+  referenceFret: null,
+  requiredFinds: 1,
+  message: 'Listen… then play that exact pitch!',
+});
+
+// --- Scale run helpers ---
+export const SCALE_RUN_PATTERNS = {
+  free: 'Any order',
+  ascending: 'Ascending',
+  descending: 'Descending',
+  thirds: 'In 3rds',
+  fours: 'Groups of 4',
+};
+
+// Which of the area's pitches (0 = lowest) each pattern plays, in order, for `n` pitches
+const SCALE_RUN_ORDERS = {
+  ascending: (n) => Array.from({ length: n }, (_, i) => i),
+  descending: (n) => Array.from({ length: n }, (_, i) => n - 1 - i),
+  thirds: (n) => Array.from({ length: Math.max(0, n - 2) }, (_, i) => [i, i + 2]).flat(),
+  fours: (n) => Array.from({ length: Math.max(0, n - 3) }, (_, i) => [i, i + 1, i + 2, i + 3]).flat(),
+};
+
+// An ordered run over an area's frets: one step per note played, [{ midi, note, frets }, ...]. A pitch
+// that sits on two strings (overlapping shapes, the whole range) may be played on either.
+export const buildScaleRun = ({ frets, tuning, pattern, notesToFind }) => {
+  const byPitch = {};
+  frets.forEach(fretKey => {
+    const [stringIndex, fretIndex] = fretKey.split('-').map(Number);
+    const midi = computeStringFretMidi(tuning, stringIndex, fretIndex);
+    (byPitch[midi] = byPitch[midi] || []).push(fretKey);
+  });
+  const pitches = Object.keys(byPitch).map(Number).sort((a, b) => a - b);
+  const order = SCALE_RUN_ORDERS[pattern] || SCALE_RUN_ORDERS.ascending;
+  return order(pitches.length).map(i => ({
+    midi: pitches[i],
+    note: spellForContext(midiToPitchClass(pitches[i]), notesToFind, 'sharps'),
+    frets: byPitch[pitches[i]],
+  }));
+};
+
+export const getScaleRunStepState = ({ note, frets }) => ({
+  currentNote: note,
+  targetFrets: frets,
+});
+
+// --- Rhythm drill helpers ---
+export const RHYTHM_QUESTIONS = 16;
+export const RHYTHM_BPM_OPTIONS = [40, 50, 60, 70, 80, 90, 100, 110, 120, 140, 160, 180, 200];
+export const RHYTHM_BEAT_OPTIONS = [1, 2, 3, 4, 6, 8];
+export const RHYTHM_RAMP_EVERY = 4;      // clean hits in a row before the tempo goes up
+export const RHYTHM_RAMP_STEP = 5;       // BPM added per ramp
+export const RHYTHM_MAX_BPM = 240;
+export const RHYTHM_ON_BEAT_WINDOW = 0.15; // share of a beat either side that still counts as "on the beat"
+
+// Random note names from the range, never the same one twice in a row
+export const buildRhythmQueue = ({ fretRange, fretboardLayout, isWholeNotesMode, count = RHYTHM_QUESTIONS, random = Math.random }) => {
+  const notes = new Set();
+  fretboardLayout.forEach(string => {
+    for (let f = fretRange[0]; f <= fretRange[1] && f < string.length; f++) {
+      if (!isWholeNotesMode || WHOLE_NOTES.includes(string[f])) notes.add(string[f]);
+    }
+  });
+  const pool = [...notes];
+  if (pool.length === 0) return [];
+  const queue = [];
+  for (let i = 0; i < count; i++) {
+    const choices = pool.length > 1 ? pool.filter(n => n !== queue[i - 1]) : pool;
+    queue.push(choices[Math.floor(random() * choices.length)]);
+  }
+  return queue;
+};
+
+export const getRhythmQuestionState = (note) => ({
+  currentNote: note,
+  notesToFind: [note],
+  targetFrets: [],
+  referenceFret: null,
+  requiredFinds: 1,
+  message: `Play ${note} before the window closes!`,
+});
+
+// Closes the current beat window: records the answer (or a miss), ramps the tempo after clean runs
+export const closeRhythmWindow = (rhythm, note) => {
+  const answer = rhythm.answer || { hit: false, offsetMs: null };
+  const cleanStreak = answer.hit ? rhythm.cleanStreak + 1 : 0;
+  const isRamping = rhythm.isRampOn && answer.hit && cleanStreak % RHYTHM_RAMP_EVERY === 0;
+  return {
+    ...rhythm,
+    results: [...rhythm.results, { note, ...answer, bpm: rhythm.bpm }],
+    cleanStreak,
+    bpm: isRamping ? Math.min(RHYTHM_MAX_BPM, rhythm.bpm + RHYTHM_RAMP_STEP) : rhythm.bpm,
+    beatsLeft: rhythm.beatsPerNote,
+    answer: null,
+  };
+};
+
+// Offsets are signed: negative means ahead of the beat, positive behind it. A hit without one (played
+// before the first beat) counts as a hit but isn't timed
+export const summarizeRhythmResults = (results) => {
+  const hits = results.filter(r => r.hit);
+  const timedHits = hits.filter(r => r.offsetMs != null);
+  const onBeat = timedHits.filter(r => Math.abs(r.offsetMs) <= (60000 / r.bpm) * RHYTHM_ON_BEAT_WINDOW);
+  const offsets = timedHits.map(r => r.offsetMs);
+  return {
+    total: results.length,
+    hits: hits.length,
+    misses: results.length - hits.length,
+    onBeat: onBeat.length,
+    onBeatRate: results.length ? onBeat.length / results.length : 0,
+    meanOffsetMs: offsets.length ? offsets.reduce((sum, ms) => sum + ms, 0) / offsets.length : null,
+  };
+};
@@ -0,0 +1,124 @@
+// Scale positions: CAGED shapes, 3-notes-per-string patterns and pentatonic boxes, worked out for any root,
+// scale and tuning from the open-string pitches rather than from stored fingerings.
+import { pitchToMidi } from './theory.js';
+import { getFretKey } from './fretboard.js';
+
+// --- Position systems ---
+const MAJOR_PENTATONIC = [0, 2, 4, 7, 9];
+const MINOR_PENTATONIC = [0, 3, 5, 7, 10];
+
+// `isAvailable` decides which scales a system makes sense for; `count` is how many positions it has
+export const POSITION_SYSTEMS = {
+  caged: { label: 'CAGED', isAvailable: (intervals) => intervals.length >= 7, count: () => 5 },
+  '3nps': { label: '3NPS', isAvailable: (intervals) => intervals.length >= 7, count: (intervals) => intervals.length },
+  pentatonic: { label: 'Box', isAvailable: (intervals) => getPentatonicFrame(intervals) !== null, count: () => 5 },
+};
+
+// The five-note frame a scale's boxes hang on: the scale itself, or the major/minor pentatonic inside it
+export const getPentatonicFrame = (intervals) => {
+  if (intervals.length === 5) return intervals;
+  if (intervals.length > 6) return null;
+  return [MAJOR_PENTATONIC, MINOR_PENTATONIC].find(frame => frame.every(i => intervals.includes(i))) || null;
+};
+
+// 'caged-2' style ids with menu labels, for the positions a scale has; with a string count, single
+// strings ('string-1' is the top string) follow, for playing the scale along one string
+export const listScalePositions = (intervals, stringCount = 0) => [
+  ...Object.entries(POSITION_SYSTEMS)
+    .filter(([, system]) => system.isAvailable(intervals))
+    .flatMap(([id, system]) => Array.from({ length: system.count(intervals) }, (_, i) => ({
+      id: `${id}-${i + 1}`,
+      label: `${system.label} ${i + 1}`,
+    }))),
+  ...Array.from({ length: stringCount }, (_, i) => ({ id: `string-${i + 1}`, label: `String ${i + 1}` })),
+];
+
+// --- Building a shape ---
+// Strings from lowest to highest open pitch (re-entrant tunings included), as { stringIndex, openMidi }
+const getStringsByPitch = (tuning) => tuning
+  .map((pitch, stringIndex) => ({ stringIndex, openMidi: pitchToMidi(pitch) }))
+  .sort((a, b) => a.openMidi - b.openMidi || b.stringIndex - a.stringIndex);
+
+// Climbs the scale from `startDegree`, `notesPerString` tones on each string, starting at the lowest
+// fret on the lowest string. A tone that would sit below the nut on the next string (drop tunings)
+// stays on the current one instead.
+const runScale = ({ rootSemitone, intervals, startDegree, notesPerString, strings }) => {
+  const notes = [];
+  let degree = startDegree;
+  let midi = strings[0].openMidi + (((rootSemitone + intervals[degree] - strings[0].openMidi) % 12) + 12) % 12;
+  strings.forEach(({ stringIndex, openMidi }, i) => {
+    const nextString = strings[i + 1];
+    for (let count = 0; count < notesPerString || (nextString && midi < nextString.openMidi); count++) {
+      notes.push({ stringIndex, fretIndex: midi - openMidi });
+      const next = (degree + 1) % intervals.length;
+      midi += (((intervals[next] - intervals[degree]) % 12) + 12) % 12;
+      degree = next;
+    }
+  });
+  return notes;
+};
+
+// Every scale tone on every string between the window's lowest and highest fret
+const fillWindow = ({ rootSemitone, intervals, strings, low, high }) => strings.flatMap(({ stringIndex, openMidi }) => {
+  const notes = [];
+  for (let fretIndex = low; fretIndex <= high; fretIndex++) {
+    const semitone = (((openMidi + fretIndex - rootSemitone) % 12) + 12) % 12;
+    if (intervals.includes(semitone)) notes.push({ stringIndex, fretIndex });
+  }
+  return notes;
+});
+
+const buildShape = (system, number, { rootSemitone, intervals, strings }) => {
+  if (system === '3nps') {
+    return runScale({ rootSemitone, intervals, startDegree: number - 1, notesPerString: 3, strings });
+  }
+  // CAGED positions are the pentatonic boxes with the rest of the scale filled in around them;
+  // a box keeps its own two notes per string and only gains the tones its frame leaves out (blue notes)
+  const frame = getPentatonicFrame(intervals) || (intervals.includes(4) && !intervals.includes(3) ? MAJOR_PENTATONIC : MINOR_PENTATONIC);
+  const box = runScale({ rootSemitone, intervals: frame, startDegree: number - 1, notesPerString: 2, strings });
+  const frets = box.map(n => n.fretIndex);
+  const extras = system === 'pentatonic' ? intervals.filter(i => !frame.includes(i)) : intervals;
+  const filled = fillWindow({ rootSemitone, intervals: extras, strings, low: Math.min(...frets), high: Math.max(...frets) });
+  if (system === 'caged') return filled;
+  return [...box, ...filled].sort((a, b) => b.stringIndex - a.stringIndex || a.fretIndex - b.fretIndex);
+};
+
+// The named position on this neck, placed in the octave that puts most of it inside `fretRange`
+// (a single string covers the whole range).
+// Returns { id, label, frets, spans } (spans: stringIndex -> [lowFret, highFret], for drawing the outline),
+// with only the in-range frets kept; null if the scale has no such position.
+export const getScalePosition = ({ rootNote, scaleIntervals, tuning, fretRange, fretCount, position }) => {
+  const match = /^(caged|3nps|pentatonic|string)-(\d+)$/.exec(position || '');
+  const rootMidi = pitchToMidi(rootNote);
+  if (!match || rootMidi == null) return null;
+  const [, system, numberText] = match;
+  const number = Number(numberText);
+  const rootSemitone = rootMidi % 12;
+  const strings = getStringsByPitch(tuning);
+  const isInRange = (fretIndex) => fretIndex >= fretRange[0] && fretIndex <= fretRange[1] && fretIndex <= fretCount;
+  let best = [];
+  let label;
+
+  if (system === 'string') {
+    const string = strings.find(s => s.stringIndex === number - 1);
+    if (!string) return null;
+    label = `String ${number}`;
+    best = fillWindow({ rootSemitone, intervals: scaleIntervals, strings: [string], low: fretRange[0], high: Math.min(fretRange[1], fretCount) });
+  } else {
+    const { isAvailable, count } = POSITION_SYSTEMS[system];
+    if (!isAvailable(scaleIntervals) || number < 1 || number > count(scaleIntervals)) return null;
+    label = `${POSITION_SYSTEMS[system].label} ${number}`;
+    const shape = buildShape(system, number, { rootSemitone, intervals: scaleIntervals, strings });
+    for (let shift = 0; Math.min(...shape.map(n => n.fretIndex)) + shift <= fretCount; shift += 12) {
+      const placed = shape.map(n => ({ ...n, fretIndex: n.fretIndex + shift })).filter(n => isInRange(n.fretIndex));
+      if (placed.length > best.length) best = placed;
+    }
+  }
+
+  const spans = {};
+  best.forEach(({ stringIndex, fretIndex }) => {
+    const [low, high] = spans[stringIndex] || [fretIndex, fretIndex];
+    spans[stringIndex] = [Math.min(low, fretIndex), Math.max(high, fretIndex)];
+  });
+  return { id: position, label, frets: best.map(n => getFretKey(n.stringIndex, n.fretIndex)), spans };
+};
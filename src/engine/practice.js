@@ -0,0 +1,102 @@
+// Practice analytics over guess records: summaries, fret heatmaps and adaptive (weak-spot) weighting.
+import { getFretKey } from './fretboard.js';
+import { pickWeighted } from './random.js';
+
+// --- Practice statistics ---
+export const MAX_GUESS_RECORDS = 5000; // oldest records are dropped past this
+export const FRET_REGIONS = [[0, 4], [5, 9], [10, 14], [15, 19], [20, 24]];
+
+export const appendGuessRecords = (history, records) => [...history, ...records].slice(-MAX_GUESS_RECORDS);
+
+export const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+export const getFretRegionLabel = (fretIndex) => {
+  const region = FRET_REGIONS.find(([lo, hi]) => fretIndex >= lo && fretIndex <= hi);
+  if (!region) return null;
+  return region[0] === 0 ? `Open–${region[1]}` : `${region[0]}–${region[1]}`;
+};
+
+// Groups guess records by `keyOf` (records returning null are skipped) into accuracy and median time rows
+export const summarizeGuesses = (records, keyOf) => {
+  const groups = new Map();
+  records.forEach(record => {
+    const key = keyOf(record);
+    if (key == null) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  });
+  return [...groups.entries()].map(([key, group]) => {
+    const correct = group.filter(r => r.correct).length;
+    return {
+      key,
+      attempts: group.length,
+      correct,
+      accuracy: correct / group.length,
+      medianMs: median(group.map(r => r.responseMs).filter(Number.isFinite)),
+    };
+  });
+};
+
+// --- Fretboard heatmap (from guess history) ---
+export const HEATMAP_FAST_MS = 1000;
+export const HEATMAP_SLOW_MS = 5000;
+
+// Per-fret performance with a 0 (weak) .. 1 (strong) score for the chosen metric
+export const computeFretHeatmap = (records, metric) => {
+  const heatmap = {};
+  summarizeGuesses(records, r => (r.stringIndex == null || r.fretIndex == null ? null : getFretKey(r.stringIndex, r.fretIndex)))
+    .forEach(row => {
+      const speedScore = row.medianMs == null
+        ? null
+        : 1 - Math.min(1, Math.max(0, (row.medianMs - HEATMAP_FAST_MS) / (HEATMAP_SLOW_MS - HEATMAP_FAST_MS)));
+      const score = metric === 'speed' ? speedScore : row.accuracy;
+      if (score != null) heatmap[row.key] = { ...row, score };
+    });
+  return heatmap;
+};
+
+// --- Adaptive queue (spaced-repetition style) ---
+export const RECALL_DECAY = 0.3;               // weight of the newest result in the running error rate
+export const RECALL_STALE_MS = 7 * 24 * 3600 * 1000; // items unseen this long get the full staleness boost
+export const RECALL_UNSEEN_WEIGHT = 2;
+export const ADAPTIVE_REPEAT_RATIO = 0.5;      // extra questions, as a share of the distinct items
+
+// Weight per key from past guesses: recent mistakes, slow answers and time since last seen all raise it
+export const computeRecallWeights = (records, keyOf, keys, now = Date.now()) => {
+  const byKey = {};
+  records.forEach(r => {
+    const key = keyOf(r);
+    if (key != null) (byKey[key] = byKey[key] || []).push(r);
+  });
+  const weights = {};
+  keys.forEach(key => {
+    const history = (byKey[key] || []).slice().sort((a, b) => a.ts - b.ts);
+    if (history.length === 0) { weights[key] = RECALL_UNSEEN_WEIGHT; return; }
+    const errorRate = history.reduce((rate, r) => rate * (1 - RECALL_DECAY) + (r.correct ? 0 : RECALL_DECAY), 0);
+    const recentMs = median(history.slice(-5).filter(r => r.correct).map(r => r.responseMs).filter(Number.isFinite));
+    const slowness = recentMs == null ? 0.5 : Math.min(1, Math.max(0, (recentMs - HEATMAP_FAST_MS) / (HEATMAP_SLOW_MS - HEATMAP_FAST_MS)));
+    const staleness = Math.min(1, Math.max(0, (now - history[history.length - 1].ts) / RECALL_STALE_MS));
+    weights[key] = 0.5 + 3 * errorRate + 1.5 * slowness + staleness;
+  });
+  return weights;
+};
+
+// Every item once, weaker items tending to come first, then extra repeats drawn by weight (never back to back)
+export const buildAdaptiveQueue = (items, weights, random = Math.random) => {
+  const weightOf = (item) => weights[item] != null ? weights[item] : RECALL_UNSEEN_WEIGHT;
+  const ordered = items
+    .map(item => ({ item, key: Math.pow(random(), 1 / weightOf(item)) }))
+    .sort((a, b) => b.key - a.key)
+    .map(({ item }) => item);
+  const repeats = items.length > 1 ? Math.round(items.length * ADAPTIVE_REPEAT_RATIO) : 0;
+  for (let i = 0; i < repeats; i++) {
+    const last = ordered[ordered.length - 1];
+    ordered.push(pickWeighted(items.filter(item => item !== last), weightOf, random));
+  }
+  return ordered;
+};
@@ -0,0 +1,44 @@
+// Random helpers that accept an injected generator, so rounds can be replayed from a seed.
+
+// --- Seeded randomness ---
+// FNV-1a: turns any text (e.g. a date) into a 32-bit seed
+export const hashSeed = (text) => {
+  let hash = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// mulberry32: a small deterministic stand-in for Math.random
+export const createSeededRandom = (seed) => {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export const shuffleArray = (array, random = Math.random) => {
+  let currentIndex = array.length, randomIndex;
+  while (currentIndex !== 0) {
+    randomIndex = Math.floor(random() * currentIndex);
+    currentIndex--;
+    [array[currentIndex], array[randomIndex]] = [array[randomIndex], array[currentIndex]];
+  }
+  return array;
+};
+
+export const pickWeighted = (items, weightOf, random = Math.random) => {
+  const total = items.reduce((sum, item) => sum + weightOf(item), 0);
+  let roll = random() * total;
+  for (const item of items) {
+    roll -= weightOf(item);
+    if (roll <= 0) return item;
+  }
+  return items[items.length - 1];
+};
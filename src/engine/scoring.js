@@ -0,0 +1,56 @@
+// Points, combos and per-question splits, kept on the game state as `score`.
+
+// --- Scoring: hits, misses, combos and per-question splits ---
+export const SCORE_HIT_POINTS = 100;
+export const SCORE_COMBO_STEP = 10;            // extra points per hit of the current streak...
+export const SCORE_COMBO_CAP = 10;             // ...up to this many steps
+export const SCORE_MISS_PENALTY = 50;
+export const SCORE_PAR_SECONDS = 3;            // par time per target; every second under par is a bonus
+export const SCORE_SPEED_BONUS_PER_SECOND = 10;
+
+export const EMPTY_SCORE = { points: 0, hits: 0, misses: 0, streak: 0, bestStreak: 0, splitStart: 0, splitMisses: 0, splits: [], missedFrets: [] };
+
+// What the current question asks for, as shown in the results table
+export const getQuestionLabel = (state) => state.currentNote || state.notesToFind.join(' ');
+
+export const scoreHit = (score) => {
+  const streak = score.streak + 1;
+  return {
+    ...score,
+    points: score.points + SCORE_HIT_POINTS + SCORE_COMBO_STEP * Math.min(streak - 1, SCORE_COMBO_CAP),
+    hits: score.hits + 1,
+    streak,
+    bestStreak: Math.max(score.bestStreak, streak),
+  };
+};
+
+// `missedFret` is { fretKey, note } for a wrong fret; answers with no fret (e.g. an unmatched pitch) leave it out
+export const scoreMiss = (score, target, missedFret = null) => ({
+  ...score,
+  points: score.points - SCORE_MISS_PENALTY,
+  misses: score.misses + 1,
+  streak: 0,
+  splitMisses: score.splitMisses + 1,
+  missedFrets: missedFret ? [...score.missedFrets, { ...missedFret, target }] : score.missedFrets,
+});
+
+// Closes the split for the question that was just finished
+export const closeSplit = (score, label, time) => ({
+  ...score,
+  splits: [...score.splits, { label, time: time - score.splitStart, misses: score.splitMisses }],
+  splitStart: time,
+  splitMisses: 0,
+});
+
+// Final score: combo points minus penalties, plus a bonus for beating par, never below zero
+export const computeFinalScore = (score, time, totalTargets) => {
+  const attempts = score.hits + score.misses;
+  const par = totalTargets * SCORE_PAR_SECONDS;
+  const speedBonus = Math.round(Math.max(0, par - time) * SCORE_SPEED_BONUS_PER_SECOND);
+  return {
+    accuracy: attempts ? score.hits / attempts : 0,
+    speedBonus,
+    par,
+    total: Math.max(0, score.points + speedBonus),
+  };
+};
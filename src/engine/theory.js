@@ -0,0 +1,327 @@
+// Music theory: note names and spellings, pitches and MIDI numbers, transposition, scales, intervals and chords.
+
+// --- Music Theory Constants ---
+export const ALL_NOTES = ['A', 'A#', 'B', 'C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#'];
+export const WHOLE_NOTES = ['A', 'B', 'C', 'D', 'E', 'F', 'G'];
+// Display spellings aligned with ALL_NOTES; notes are compared by pitch class, these only change how they read
+export const NOTE_SPELLINGS = {
+  sharps: ALL_NOTES,
+  flats: ['A', 'Bb', 'B', 'C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab'],
+};
+export const ROOT_NOTES = ['C', 'C#', 'Db', 'D', 'D#', 'Eb', 'E', 'F', 'F#', 'Gb', 'G', 'G#', 'Ab', 'A', 'A#', 'Bb', 'B'];
+export const LETTERS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+// Major keys (semitones above C) written with flats: F, Bb, Eb, Ab, Db, Gb
+export const FLAT_KEYS = [5, 10, 3, 8, 1, 6];
+// Scales as semitones above the root; Major and Natural Minor are the Ionian and Aeolian modes
+export const SCALES = {
+  'Major':              [0, 2, 4, 5, 7, 9, 11],
+  'Dorian':             [0, 2, 3, 5, 7, 9, 10],
+  'Phrygian':           [0, 1, 3, 5, 7, 8, 10],
+  'Lydian':             [0, 2, 4, 6, 7, 9, 11],
+  'Mixolydian':         [0, 2, 4, 5, 7, 9, 10],
+  'Natural Minor':      [0, 2, 3, 5, 7, 8, 10],
+  'Locrian':            [0, 1, 3, 5, 6, 8, 10],
+  'Harmonic Minor':     [0, 2, 3, 5, 7, 8, 11],
+  'Locrian #6':         [0, 1, 3, 5, 6, 9, 10],
+  'Ionian #5':          [0, 2, 4, 5, 8, 9, 11],
+  'Dorian #4':          [0, 2, 3, 6, 7, 9, 10],
+  'Phrygian Dominant':  [0, 1, 4, 5, 7, 8, 10],
+  'Lydian #2':          [0, 3, 4, 6, 7, 9, 11],
+  'Altered bb7':        [0, 1, 3, 4, 6, 8, 9],
+  'Melodic Minor':      [0, 2, 3, 5, 7, 9, 11],
+  'Dorian b2':          [0, 1, 3, 5, 7, 9, 10],
+  'Lydian Augmented':   [0, 2, 4, 6, 8, 9, 11],
+  'Lydian Dominant':    [0, 2, 4, 6, 7, 9, 10],
+  'Mixolydian b6':      [0, 2, 4, 5, 7, 8, 10],
+  'Locrian #2':         [0, 2, 3, 5, 6, 8, 10],
+  'Altered':            [0, 1, 3, 4, 6, 8, 10],
+  'Major Pentatonic':   [0, 2, 4, 7, 9],
+  'Minor Pentatonic':   [0, 3, 5, 7, 10],
+  'Blues':              [0, 3, 5, 6, 7, 10],
+  'Major Blues':        [0, 2, 3, 4, 7, 9],
+  'Whole Tone':         [0, 2, 4, 6, 8, 10],
+  'Diminished (H-W)':   [0, 1, 3, 4, 6, 7, 9, 10],
+  'Diminished (W-H)':   [0, 2, 3, 5, 6, 8, 9, 11],
+  'Augmented':          [0, 3, 4, 7, 8, 11],
+  'Chromatic':          [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11],
+  'Hungarian Minor':    [0, 2, 3, 6, 7, 8, 11],
+  'Double Harmonic':    [0, 1, 4, 5, 7, 8, 11],
+  'Neapolitan Minor':   [0, 1, 3, 5, 7, 8, 11],
+  'Neapolitan Major':   [0, 1, 3, 5, 7, 9, 11],
+  'Persian':            [0, 1, 4, 5, 6, 8, 11],
+  'Enigmatic':          [0, 1, 4, 6, 8, 10, 11],
+  'Hirajoshi':          [0, 2, 3, 7, 8],
+  'In Sen':             [0, 1, 5, 7, 10],
+  'Iwato':              [0, 1, 5, 6, 10],
+};
+// Menu groups for the scale picker; modes follow their parent scale's degree order
+export const SCALE_GROUPS = {
+  'Diatonic modes': ['Major', 'Dorian', 'Phrygian', 'Lydian', 'Mixolydian', 'Natural Minor', 'Locrian'],
+  'Harmonic minor': ['Harmonic Minor', 'Locrian #6', 'Ionian #5', 'Dorian #4', 'Phrygian Dominant', 'Lydian #2', 'Altered bb7'],
+  'Melodic minor': ['Melodic Minor', 'Dorian b2', 'Lydian Augmented', 'Lydian Dominant', 'Mixolydian b6', 'Locrian #2', 'Altered'],
+  'Pentatonic & blues': ['Major Pentatonic', 'Minor Pentatonic', 'Blues', 'Major Blues'],
+  'Symmetric': ['Whole Tone', 'Diminished (H-W)', 'Diminished (W-H)', 'Augmented', 'Chromatic'],
+  'Exotic': ['Hungarian Minor', 'Double Harmonic', 'Neapolitan Minor', 'Neapolitan Major', 'Persian', 'Enigmatic', 'Hirajoshi', 'In Sen', 'Iwato'],
+};
+
+// Chord formulas as scale degrees relative to the root
+export const CHORDS = {
+  'maj':   { name: 'Major',              group: 'Triad',    symbol: '',      formula: '1 3 5' },
+  'm':     { name: 'Minor',              group: 'Triad',    symbol: 'm',     formula: '1 b3 5' },
+  'dim':   { name: 'Diminished',         group: 'Triad',    symbol: 'dim',   formula: '1 b3 b5' },
+  'aug':   { name: 'Augmented',          group: 'Triad',    symbol: 'aug',   formula: '1 3 #5' },
+  'sus2':  { name: 'Suspended 2nd',      group: 'Sus',      symbol: 'sus2',  formula: '1 2 5' },
+  'sus4':  { name: 'Suspended 4th',      group: 'Sus',      symbol: 'sus4',  formula: '1 4 5' },
+  '7sus4': { name: 'Dominant 7th sus4',  group: 'Sus',      symbol: '7sus4', formula: '1 4 5 b7' },
+  'maj7':  { name: 'Major 7th',          group: 'Seventh',  symbol: 'maj7',  formula: '1 3 5 7' },
+  '7':     { name: 'Dominant 7th',       group: 'Seventh',  symbol: '7',     formula: '1 3 5 b7' },
+  'm7':    { name: 'Minor 7th',          group: 'Seventh',  symbol: 'm7',    formula: '1 b3 5 b7' },
+  'm7b5':  { name: 'Half-diminished',    group: 'Seventh',  symbol: 'm7b5',  formula: '1 b3 b5 b7' },
+  'dim7':  { name: 'Diminished 7th',     group: 'Seventh',  symbol: 'dim7',  formula: '1 b3 b5 bb7' },
+  'mMaj7': { name: 'Minor-major 7th',    group: 'Seventh',  symbol: 'mMaj7', formula: '1 b3 5 7' },
+  '6':     { name: 'Major 6th',          group: 'Seventh',  symbol: '6',     formula: '1 3 5 6' },
+  'm6':    { name: 'Minor 6th',          group: 'Seventh',  symbol: 'm6',    formula: '1 b3 5 6' },
+  'add9':  { name: 'Add 9',              group: 'Extended', symbol: 'add9',  formula: '1 3 5 9' },
+  '9':     { name: 'Dominant 9th',       group: 'Extended', symbol: '9',     formula: '1 3 5 b7 9' },
+  'maj9':  { name: 'Major 9th',          group: 'Extended', symbol: 'maj9',  formula: '1 3 5 7 9' },
+  'm9':    { name: 'Minor 9th',          group: 'Extended', symbol: 'm9',    formula: '1 b3 5 b7 9' },
+  '7b9':   { name: 'Dominant 7th b9',    group: 'Extended', symbol: '7b9',   formula: '1 3 5 b7 b9' },
+  '7#9':   { name: 'Dominant 7th #9',    group: 'Extended', symbol: '7#9',   formula: '1 3 5 b7 #9' },
+  '11':    { name: 'Dominant 11th',      group: 'Extended', symbol: '11',    formula: '1 3 5 b7 9 11' },
+  '13':    { name: 'Dominant 13th',      group: 'Extended', symbol: '13',    formula: '1 3 5 b7 9 13' },
+};
+// Progressions step through chords built on degrees of the key's scale
+export const PROGRESSIONS = {
+  'ii-V-I':        { scale: 'Major',         chords: [{ numeral: 'ii', degree: 2, chord: 'm7' }, { numeral: 'V', degree: 5, chord: '7' }, { numeral: 'I', degree: 1, chord: 'maj7' }] },
+  'ii-V-i (minor)': { scale: 'Natural Minor', chords: [{ numeral: 'iiø', degree: 2, chord: 'm7b5' }, { numeral: 'V', degree: 5, chord: '7' }, { numeral: 'i', degree: 1, chord: 'm7' }] },
+  'I-IV-V':        { scale: 'Major',         chords: [{ numeral: 'I', degree: 1, chord: 'maj' }, { numeral: 'IV', degree: 4, chord: 'maj' }, { numeral: 'V', degree: 5, chord: 'maj' }] },
+  'I-vi-IV-V':     { scale: 'Major',         chords: [{ numeral: 'I', degree: 1, chord: 'maj' }, { numeral: 'vi', degree: 6, chord: 'm' }, { numeral: 'IV', degree: 4, chord: 'maj' }, { numeral: 'V', degree: 5, chord: 'maj' }] },
+  'I-V-vi-IV':     { scale: 'Major',         chords: [{ numeral: 'I', degree: 1, chord: 'maj' }, { numeral: 'V', degree: 5, chord: 'maj' }, { numeral: 'vi', degree: 6, chord: 'm' }, { numeral: 'IV', degree: 4, chord: 'maj' }] },
+  'Diatonic 7ths': { scale: 'Major',         chords: [
+    { numeral: 'Imaj7', degree: 1, chord: 'maj7' }, { numeral: 'ii7', degree: 2, chord: 'm7' }, { numeral: 'iii7', degree: 3, chord: 'm7' },
+    { numeral: 'IVmaj7', degree: 4, chord: 'maj7' }, { numeral: 'V7', degree: 5, chord: '7' }, { numeral: 'vi7', degree: 6, chord: 'm7' },
+    { numeral: 'viiø7', degree: 7, chord: 'm7b5' },
+  ] },
+};
+
+// Intervals above a reference note; `degree` is the letter distance used to spell the target (1 = unison)
+export const INTERVALS = {
+  'm2': { name: 'minor 2nd',   semitones: 1,  degree: 2 },
+  'M2': { name: 'major 2nd',   semitones: 2,  degree: 2 },
+  'm3': { name: 'minor 3rd',   semitones: 3,  degree: 3 },
+  'M3': { name: 'major 3rd',   semitones: 4,  degree: 3 },
+  'P4': { name: 'perfect 4th', semitones: 5,  degree: 4 },
+  'TT': { name: 'tritone',     semitones: 6,  degree: 4 },
+  'P5': { name: 'perfect 5th', semitones: 7,  degree: 5 },
+  'm6': { name: 'minor 6th',   semitones: 8,  degree: 6 },
+  'M6': { name: 'major 6th',   semitones: 9,  degree: 6 },
+  'm7': { name: 'minor 7th',   semitones: 10, degree: 7 },
+  'M7': { name: 'major 7th',   semitones: 11, degree: 7 },
+  'P8': { name: 'octave',      semitones: 12, degree: 8 },
+};
+// --- Pitches and MIDI ---
+// Pitch mapping helpers for realistic string octaves
+export const NOTE_TO_INDEX = { C:0,'C#':1,D:2,'D#':3,E:4,F:5,'F#':6,G:7,'G#':8,A:9,'A#':10,B:11 };
+
+// Parses "E2", "F#3", "Bb1", "C##4" or a bare note name like "Eb" (octave 4 assumed).
+export const parsePitch = (pitch) => {
+  const m = /^([A-G])(##|bb|#|b)?(-?\d+)?$/.exec(String(pitch).trim());
+  if (!m) return null;
+  const letterIndex = NOTE_TO_INDEX[m[1]];
+  const accidental = { '##': 2, '#': 1, 'b': -1, 'bb': -2 }[m[2]] || 0;
+  const octave = m[3] != null ? parseInt(m[3], 10) : 4;
+  const midi = (octave + 1) * 12 + letterIndex + accidental;
+  return { midi, pitchClass: midiToPitchClass(midi), octave: Math.floor(midi / 12) - 1 };
+};
+
+export const pitchToMidi = (pitch) => {
+  const parsed = parsePitch(pitch);
+  return parsed ? parsed.midi : null;
+};
+
+export const midiToPitchClass = (midi) => ALL_NOTES[(((midi - 9) % 12) + 12) % 12];
+
+export const midiToPitch = (midi) => `${midiToPitchClass(midi)}${Math.floor(midi / 12) - 1}`;
+
+export const frequencyToMidi = (frequency) => 69 + 12 * Math.log2(frequency / 440);
+
+// --- Enharmonic spelling ---
+// Canonical (sharp) pitch class for any spelling: 'Bb' -> 'A#', 'Cb' -> 'B', 'E#' -> 'F'
+export const toPitchClass = (noteName) => {
+  const parsed = parsePitch(noteName);
+  return parsed ? parsed.pitchClass : noteName;
+};
+
+export const includesPitchClass = (noteNames, note) => {
+  const pitchClass = toPitchClass(note);
+  return noteNames.some(n => toPitchClass(n) === pitchClass);
+};
+
+export const spellPitchClass = (pitchClass, preference = 'sharps') => {
+  const index = ALL_NOTES.indexOf(toPitchClass(pitchClass));
+  if (index === -1) return pitchClass;
+  return (NOTE_SPELLINGS[preference] || NOTE_SPELLINGS.sharps)[index];
+};
+
+// Spells a semitone (0 = C) on a given letter, e.g. (10, 'B') -> 'Bb'; null if it needs more than a double accidental
+export const spellOnLetter = (semitone, letter) => {
+  const offset = ((((semitone - NOTE_TO_INDEX[letter]) % 12) + 18) % 12) - 6;
+  if (Math.abs(offset) > 2) return null;
+  return letter + (offset > 0 ? '#'.repeat(offset) : 'b'.repeat(-offset));
+};
+
+// Sharps or flats for a key: spelled roots decide; natural roots follow their (relative) major key signature
+export const getKeyPreference = (rootNote, scaleIntervals = SCALES['Major']) => {
+  if (/^[A-G]b/.test(rootNote)) return 'flats';
+  if (/^[A-G]#/.test(rootNote)) return 'sharps';
+  const rootSemitone = pitchToMidi(rootNote) % 12;
+  const isMinorQuality = scaleIntervals.includes(3) && !scaleIntervals.includes(4);
+  const parentMajor = (rootSemitone + (isMinorQuality ? 3 : 0)) % 12;
+  return FLAT_KEYS.includes(parentMajor) ? 'flats' : 'sharps';
+};
+
+// Heptatonic scales get one note per letter (F major -> Bb, not A#); others follow the key signature
+export const getNotesInScale = (rootNote, scaleIntervals) => {
+  const root = parsePitch(rootNote);
+  if (!root) return [];
+  const rootSemitone = root.midi % 12;
+  const preference = getKeyPreference(rootNote, scaleIntervals);
+  const rootLetterIndex = LETTERS.indexOf(rootNote[0]);
+  return scaleIntervals.map((interval, degree) => {
+    const semitone = (rootSemitone + interval) % 12;
+    const lettered = scaleIntervals.length === 7 ? spellOnLetter(semitone, LETTERS[(rootLetterIndex + degree) % 7]) : null;
+    return lettered || spellPitchClass(midiToPitchClass(semitone), preference);
+  });
+};
+
+// Picks the display name for a board note: the spelling a target uses, otherwise the given preference
+export const spellForContext = (note, notesToFind, preference) => (
+  notesToFind.find(n => toPitchClass(n) === toPitchClass(note)) || spellPitchClass(note, preference)
+);
+
+// Typed answers: a letter plus optional accidentals ("f#", "Bb", "eb"); null if it isn't a note name
+export const parseTypedNote = (text) => {
+  const m = /^([a-gA-G])(#|b|♯|♭)?$/.exec(String(text).trim());
+  if (!m) return null;
+  const accidental = { '♯': '#', '♭': 'b' }[m[2]] || m[2] || '';
+  return toPitchClass(m[1].toUpperCase() + accidental);
+};
+
+// --- Transposition ---
+// Moves a pitch with octave by semitones: ('E2', 5) -> 'A2'; null if it isn't a pitch
+export const transposePitch = (pitch, semitones) => {
+  const midi = pitchToMidi(pitch);
+  return midi == null ? null : midiToPitch(midi + semitones);
+};
+
+// Moves a note name by semitones, spelled with the given preference: ('Bb', 2, 'flats') -> 'C'
+export const transposeNote = (note, semitones, preference = 'sharps') => {
+  const parsed = parsePitch(note);
+  return parsed ? spellPitchClass(midiToPitchClass(parsed.midi + semitones), preference) : null;
+};
+
+// --- Scale patterns and custom scales ---
+export const MIN_SCALE_NOTES = 3;
+const STEP_SEMITONES = { H: 1, W: 2 };
+const SCALE_DEGREE_SEMITONES = { 1: 0, 2: 2, 3: 4, 4: 5, 5: 7, 6: 9, 7: 11 };
+
+// Ascending, distinct semitones inside one octave, starting on the root
+export const isValidScale = (intervals) => (
+  Array.isArray(intervals) &&
+  intervals.length >= MIN_SCALE_NOTES &&
+  intervals.length <= 12 &&
+  intervals[0] === 0 &&
+  intervals.every((semitone, i) => Number.isInteger(semitone) && semitone < 12 && (i === 0 || semitone > intervals[i - 1]))
+);
+
+const checkScale = (intervals) => {
+  if (intervals.length < MIN_SCALE_NOTES) throw new Error(`A scale needs at least ${MIN_SCALE_NOTES} notes.`);
+  if (!isValidScale(intervals)) throw new Error('Notes must rise from the root and stay inside one octave.');
+  return intervals;
+};
+
+// 'W-W-H-W-W-W-H' -> [0, 2, 4, 5, 7, 9, 11]; W and H are whole and half steps, a number is that many semitones.
+// The last step must land back on the octave.
+export const parseScaleSteps = (text) => {
+  const tokens = String(text).trim().toUpperCase().split(/[\s,-]+/).filter(Boolean);
+  if (tokens.length === 0) throw new Error('Enter a step pattern like W-W-H-W-W-W-H.');
+  const steps = tokens.map(token => {
+    const size = STEP_SEMITONES[token] || (/^\d+$/.test(token) ? Number(token) : 0);
+    if (size < 1 || size > 11) throw new Error(`Unknown step "${token}". Use W, H or a number of semitones.`);
+    return size;
+  });
+  const total = steps.reduce((sum, step) => sum + step, 0);
+  if (total !== 12) throw new Error(`The steps add up to ${total} semitones; they need to make an octave (12).`);
+  return checkScale(steps.slice(0, -1).reduce((intervals, step) => [...intervals, intervals[intervals.length - 1] + step], [0]));
+};
+
+// '1 2 b3 4 5 b6 7' (degrees, like chord formulas) or '0 2 3 5 7 8 11' (semitones) -> [0, 2, 3, 5, 7, 8, 11]
+export const parseScaleIntervals = (text) => {
+  const tokens = String(text).trim().split(/[\s,]+/).filter(Boolean);
+  if (tokens.length === 0) throw new Error('Enter intervals like 1 2 b3 4 5 b6 7.');
+  if (tokens[0] === '0') {
+    return checkScale(tokens.map(token => {
+      if (!/^\d+$/.test(token)) throw new Error(`"${token}" isn't a semitone count.`);
+      return Number(token);
+    }));
+  }
+  if (tokens[0] !== '1') throw new Error('Intervals start on the root: 1 (or 0 in semitones).');
+  return checkScale(tokens.map(token => {
+    const m = /^(bb|b|#|##)?([1-7])$/.exec(token);
+    if (!m) throw new Error(`Unknown scale degree "${token}". Use 1-7 with b or #.`);
+    const shift = { bb: -2, b: -1, '#': 1, '##': 2 }[m[1]] || 0;
+    return SCALE_DEGREE_SEMITONES[m[2]] + shift;
+  }));
+};
+
+// Either notation; anything with W or H in it is read as a step pattern
+export const parseScalePattern = (text) => (
+  /[wh]/i.test(String(text)) ? parseScaleSteps(text) : parseScaleIntervals(text)
+);
+
+// [0, 2, 4, 5, 7, 9, 11] -> 'W-W-H-W-W-W-H'; steps other than a half or whole step are written in semitones
+export const formatScaleSteps = (intervals) => (
+  intervals.map((semitone, i) => (i + 1 < intervals.length ? intervals[i + 1] : 12) - semitone)
+    .map(step => ({ 1: 'H', 2: 'W' }[step] || String(step)))
+    .join('-')
+);
+
+// Custom scales are stored by name: { 'My Scale': [0, 2, 3, ...] }
+export const getScaleOptions = (customScales = {}) => ({ ...SCALES, ...customScales });
+
+export const resolveScale = (scaleName, customScales = {}) => {
+  const intervals = getScaleOptions(customScales)[scaleName];
+  return isValidScale(intervals) ? intervals : SCALES['Major'];
+};
+
+// --- Intervals and chords ---
+// Spells the note `intervalKey` above `referenceNote` on the right letter (G + m6 -> Eb, not D#)
+export const spellInterval = (referenceNote, intervalKey) => {
+  const interval = INTERVALS[intervalKey];
+  const semitone = (pitchToMidi(referenceNote) + interval.semitones) % 12;
+  const letter = LETTERS[(LETTERS.indexOf(referenceNote[0]) + interval.degree - 1) % 7];
+  return spellOnLetter(semitone, letter) || spellPitchClass(midiToPitchClass(semitone), 'sharps');
+};
+
+export const DEGREE_SEMITONES = { 1: 0, 2: 2, 3: 4, 4: 5, 5: 7, 6: 9, 7: 11, 9: 14, 11: 17, 13: 21 };
+
+// '1 b3 5 bb7' -> [{ degree: '1', number: 1, semitones: 0 }, ...]
+export const parseChordFormula = (formula) => formula.trim().split(/\s+/).map(token => {
+  const m = /^(bb|b|#)?(\d+)$/.exec(token);
+  if (!m || DEGREE_SEMITONES[m[2]] == null) throw new Error(`Unknown chord degree "${token}"`);
+  const shift = { bb: -2, b: -1, '#': 1 }[m[1]] || 0;
+  return { degree: token, number: Number(m[2]), semitones: DEGREE_SEMITONES[m[2]] + shift };
+});
+
+export const getChordSymbol = (rootNote, chordType) => `${rootNote}${CHORDS[chordType].symbol}`;
+
+// Chord tones spelled on their letters: Bm7b5 -> B D F A
+export const getChordTones = (rootNote, chordType) => {
+  const rootSemitone = pitchToMidi(rootNote) % 12;
+  const rootLetterIndex = LETTERS.indexOf(rootNote[0]);
+  return parseChordFormula(CHORDS[chordType].formula).map(({ degree, number, semitones }) => {
+    const semitone = (rootSemitone + semitones) % 12;
+    const note = spellOnLetter(semitone, LETTERS[(rootLetterIndex + number - 1) % 7]) || spellPitchClass(midiToPitchClass(semitone), 'sharps');
+    return { note, degree, semitones };
+  });
+};
@@ -5,3 +5,11 @@ import './index.css'
 
 const root = createRoot(document.getElementById('root'))
 root.render(<App />)
+
+// Offline support: sw.js is only emitted by production builds (see vite.config.js)
+if (import.meta.env.PROD && 'serviceWorker' in navigator) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+      .catch(err => console.warn('[pwa] Service worker registration failed', err))
+  })
+}
@@ -0,0 +1,54 @@
+// Sample packs for the audio engine: where each instrument's recordings live and which synth voice stands in.
+
+// Free, CC-licensed instrument samples (GitHub Pages, CORS-enabled); files use "s" for sharps (Cs2.mp3)
+export const REMOTE_SAMPLE_ROOT = 'https://nbrosowsky.github.io/tonejs-instruments/samples/';
+// Local fallback: vendor the same files under public/samples/<pack>/ to play offline
+export const LOCAL_SAMPLE_ROOT = `${(import.meta.env && import.meta.env.BASE_URL) || '/'}samples/`;
+export const SAMPLE_LOAD_TIMEOUT_MS = 15000;
+
+// Minimal keymap per pack; Tone.Sampler will pitch-shift in-between
+export const sampleUrls = (notes) => Object.fromEntries(notes.map(n => [n, `${n.replace('#', 's')}.mp3`]));
+
+// Each pack tries its CDN folder, then the local copy, then its own synth voice.
+// There is no free ukulele or mandolin set on the CDN: the ukulele borrows the nylon guitar's top
+// register and the mandolin goes straight to local files.
+export const SAMPLE_PACKS = {
+  Guitar: {
+    label: 'Nylon Guitar',
+    remote: 'guitar-nylon/',
+    local: 'guitar-nylon/',
+    urls: sampleUrls(['B1', 'D2', 'E2', 'A2', 'D3', 'G3', 'B3', 'E4', 'A4', 'E5']),
+    synth: { attackNoise: 0.8, dampening: 5200, resonance: 0.9 },
+  },
+  Bass: {
+    label: 'Electric Bass',
+    remote: 'bass-electric/',
+    local: 'bass-electric/',
+    urls: sampleUrls(['E1', 'G1', 'C#2', 'E2', 'G2', 'C#3', 'E3', 'G3']),
+    synth: { attackNoise: 0.4, dampening: 1800, resonance: 0.95 },
+  },
+  Ukulele: {
+    label: 'Ukulele',
+    remote: 'guitar-nylon/',
+    local: 'ukulele/',
+    urls: sampleUrls(['G3', 'B3', 'E4', 'A4', 'C#5', 'E5', 'A5']),
+    synth: { attackNoise: 1, dampening: 6500, resonance: 0.8 },
+  },
+  Mandolin: {
+    label: 'Mandolin',
+    remote: null,
+    local: 'mandolin/',
+    urls: sampleUrls(['G3', 'D4', 'A4', 'E5', 'A5']),
+    synth: { attackNoise: 1.5, dampening: 8000, resonance: 0.85 },
+  },
+  Synth: {
+    label: 'Synth',
+    remote: null,
+    local: null,
+    urls: null,
+    synth: { attackNoise: 0.8, dampening: 5200, resonance: 0.9 },
+  },
+};
+
+// The source that actually loaded, as shown in the toolbar
+export const SAMPLE_SOURCE_LABELS = { cdn: 'CDN', local: 'Local', synth: 'Synth' };
@@ -0,0 +1,77 @@
+// FretBoarder service worker: precaches the app shell, the Orbitron font and any samples vendored
+// under public/samples/, then serves them from the cache so the app keeps working offline.
+// vite.config.js fills in the precache list and version when it emits this file as sw.js.
+const CACHE_VERSION = __CACHE_VERSION__
+const PRECACHE_URLS = __PRECACHE_URLS__
+
+const PRECACHE = `fretboarder-precache-${CACHE_VERSION}`
+// Fonts and CDN samples fetched while online, kept across app updates
+const RUNTIME = 'fretboarder-runtime'
+const FONT_CSS_URL = 'https://fonts.googleapis.com/css2?family=Orbitron:wght@400;500;700&display=swap'
+const RUNTIME_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'nbrosowsky.github.io']
+
+// The font files are only known once the stylesheet is fetched, so cache the CSS and then each url()
+const precacheFont = async (cache) => {
+  const response = await fetch(FONT_CSS_URL)
+  if (!response.ok) throw new Error(`Font CSS returned ${response.status}`)
+  const css = await response.clone().text()
+  await cache.put(FONT_CSS_URL, response)
+  const fontUrls = [...css.matchAll(/url\(([^)]+)\)/g)].map(match => match[1].replace(/["']/g, ''))
+  await cache.addAll(fontUrls)
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(PRECACHE)
+    await cache.addAll(PRECACHE_URLS)
+    try {
+      await precacheFont(await caches.open(RUNTIME))
+    } catch (err) {
+      // Installing offline still works; the font is picked up on the next online visit
+      console.warn('[pwa] Could not precache the font', err)
+    }
+    await self.skipWaiting()
+  })())
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys()
+    await Promise.all(names
+      .filter(name => name.startsWith('fretboarder-precache-') && name !== PRECACHE)
+      .map(name => caches.delete(name)))
+    await self.clients.claim()
+  })())
+})
+
+// Pages: network first so updates show up, falling back to the cached shell
+const handleNavigation = async (request) => {
+  try {
+    return await fetch(request)
+  } catch (err) {
+    return (await caches.match(request, { ignoreSearch: true })) || caches.match(new URL('./', self.registration.scope).href)
+  }
+}
+
+// Everything else: cache first; fonts and CDN samples are added to the runtime cache as they load
+const handleAsset = async (request, url) => {
+  const cached = await caches.match(request, { ignoreVary: true })
+  if (cached) return cached
+  const response = await fetch(request)
+  if (response.ok && RUNTIME_HOSTS.includes(url.hostname)) {
+    const cache = await caches.open(RUNTIME)
+    cache.put(request, response.clone())
+  }
+  return response
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  const url = new URL(request.url)
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request))
+  } else if (url.origin === self.location.origin || RUNTIME_HOSTS.includes(url.hostname)) {
+    event.respondWith(handleAsset(request, url))
+  }
+})
@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getDegreeColor, getHeatColor, computeFretColumns } from '../src/display.js';
+
+test('computeFretColumns returns one track per fret', () => {
+  assert.equal(computeFretColumns(12).split(' ').length, 12);
+  assert.equal(computeFretColumns(24, '1.75rem').split(' ').length, 24);
+});
+
+test('degree colors group by chord function', () => {
+  assert.equal(getDegreeColor('b3'), getDegreeColor('3'));
+  assert.notEqual(getDegreeColor('1'), getDegreeColor('5'));
+});
+
+test('heat colors run red to green', () => {
+  assert.ok(getHeatColor(0).startsWith('hsl(0,'));
+  assert.ok(getHeatColor(1).startsWith('hsl(120,'));
+});
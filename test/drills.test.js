@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  INSTRUMENTS, generateFretboardLayout, initialState, gameReducer, createSeededRandom, DRILL_CONFIG_DEFAULTS,
+  encodeDrillConfig, decodeDrillConfig, withSharedScale, DAILY_MODES, getDailyChallenge, shiftDateKey, addDailyResult, computeDailyStreaks,
+} from '../src/engine/index.js';
+
+test('the default drill encodes to an empty query', () => {
+  assert.equal(encodeDrillConfig(DRILL_CONFIG_DEFAULTS), '');
+});
+
+test('drill settings round-trip through the URL', () => {
+  const shared = { ...DRILL_CONFIG_DEFAULTS, instrument: 'Bass', tuningName: 'Drop D', fretCount: 20, fretRange: [5, 9], gameMode: 'scaleDrill', rootNote: 'Eb', scaleType: 'Natural Minor', scalePosition: '3nps-4', scaleRun: 'descending', isWholeNotesMode: true, intervalKeys: ['P5', 'M3'] };
+  const decoded = decodeDrillConfig(encodeDrillConfig(shared));
+  Object.keys(shared).forEach(key => assert.equal(String(decoded[key]), String(shared[key]), key));
+});
+
+test('invalid URL values fall back to defaults', () => {
+  const junk = decodeDrillConfig('instrument=Banjo&mode=nope&range=9-3&frets=99&root=H');
+  assert.equal(junk.instrument, 'Guitar');
+  assert.equal(junk.gameMode, 'findNote');
+  assert.equal(junk.fretCount, 24);
+  assert.equal(junk.fretRange[0], 0);
+  assert.equal(junk.rootNote, 'C');
+});
+
+test('custom tunings travel with their pitches', () => {
+  const params = encodeDrillConfig({ ...DRILL_CONFIG_DEFAULTS, tuningName: 'Nashville' }, { Guitar: { Nashville: ['E5', 'B4', 'G4', 'D4', 'A3', 'E3'] } });
+  const decoded = decodeDrillConfig(params);
+  assert.equal(decoded.tuningName, 'Nashville');
+  assert.equal(decoded.sharedTuning.tuning[0], 'E5');
+});
+
+test('custom scales travel with their step pattern', () => {
+  const customScales = { 'Hijaz': [0, 1, 4, 5, 7, 8, 10] };
+  const params = encodeDrillConfig({ ...DRILL_CONFIG_DEFAULTS, scaleType: 'Hijaz' }, {}, customScales);
+  assert.match(params, /steps=H-3-H-W-H-W-W/);
+  assert.equal(decodeDrillConfig(params, {}, customScales).sharedScale.name, 'Hijaz');
+  const decoded = decodeDrillConfig(params);
+  assert.equal(decoded.scaleType, 'Hijaz');
+  assert.deepEqual(withSharedScale({}, decoded), customScales);
+  assert.equal(decodeDrillConfig('scale=Hijaz').scaleType, 'Major');
+  assert.equal(decodeDrillConfig('scale=Hijaz&steps=W-W').scaleType, 'Major');
+  assert.equal(decodeDrillConfig('scale=Hijaz', {}, customScales).scaleType, 'Hijaz');
+});
+
+test('seeded random repeats for the same seed', () => {
+  const a = createSeededRandom(42), b = createSeededRandom(42);
+  [1, 2, 3].forEach(() => assert.equal(a(), b()));
+});
+
+test('the daily challenge depends only on the date and stays on the neck', () => {
+  const daily = getDailyChallenge('2026-03-14');
+  assert.deepEqual(daily, getDailyChallenge('2026-03-14'));
+  assert.ok(daily.fretRange[1] <= daily.fretCount);
+  assert.ok(DAILY_MODES.includes(daily.gameMode));
+  const tuning = INSTRUMENTS[daily.instrument].tunings[daily.tuningName];
+  const fretboardLayout = generateFretboardLayout(tuning, daily.fretCount + 1);
+  const round = () => gameReducer(initialState, { type: 'START_GAME', payload: { ...daily, fretboardLayout, tuning } });
+  assert.deepEqual(round().noteQueue, round().noteQueue, 'seeded rounds ask questions in the same order');
+});
+
+test('date keys step across month ends', () => {
+  assert.equal(shiftDateKey('2026-03-01', -1), '2026-02-28');
+});
+
+test('daily results keep the best time and streaks run back from yesterday', () => {
+  let log = {};
+  ['2026-03-10', '2026-03-11', '2026-03-13', '2026-03-14'].forEach(day => { log = addDailyResult(log, 'P', day, 30); });
+  log = addDailyResult(log, 'P', '2026-03-14', 20);
+  assert.equal(log.P['2026-03-14'].time, 20);
+  assert.equal(log.P['2026-03-14'].attempts, 2);
+  const streaks = computeDailyStreaks(log.P, '2026-03-15');
+  assert.equal(streaks.current, 2);
+  assert.equal(streaks.best, 2);
+});
@@ -0,0 +1,15 @@
+// Boards and guess records shared by the engine tests
+import { INSTRUMENTS, generateFretboardLayout } from '../src/engine/index.js';
+
+// One C string, open through fret 12
+export const fb = generateFretboardLayout(['C'], 13);
+
+export const std = INSTRUMENTS['Guitar'].tunings['Standard'];
+export const board = generateFretboardLayout(std, 13);
+
+export const sampleGuesses = [
+  { targetNote: 'E', stringIndex: 0, fretIndex: 0, correct: true, responseMs: 800 },
+  { targetNote: 'E', stringIndex: 5, fretIndex: 12, correct: false, responseMs: 2000 },
+  { targetNote: 'E', stringIndex: 5, fretIndex: 0, correct: true, responseMs: 1200 },
+  { targetNote: 'G', stringIndex: 2, fretIndex: 0, correct: true, responseMs: 500 },
+];
@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  INSTRUMENTS, generateFretboardLayout, findAllNotePositions, computeStringFretMidi, resolveTuning, getFretMarker,
+  fitFretRange, getFretOptions, clampFretCount, findIntervalTargets, findExactPitchFrets, describeFret,
+} from '../src/engine/index.js';
+import { fb, std, board } from './fixtures.js';
+
+test('findAllNotePositions finds E on a C string only at fret 4', () => {
+  assert.deepEqual(findAllNotePositions(['E'], [0, 12], fb), ['0-4']);
+});
+
+test('findAllNotePositions matches flats against the board', () => {
+  assert.equal(findAllNotePositions(['Db'], [0, 12], fb).join(), '0-1');
+});
+
+test('string/fret to MIDI mapping puts high E on top', () => {
+  assert.equal(computeStringFretMidi('Guitar', 0, 0), 64);
+  assert.equal(computeStringFretMidi('Guitar', 5, 0), 40);
+  assert.equal(computeStringFretMidi('Guitar', 0, 1), 65);
+});
+
+test('bass mapping', () => {
+  assert.equal(computeStringFretMidi('Bass', 0, 0), 43);
+  assert.equal(computeStringFretMidi('Bass', 3, 5), 28 + 5);
+});
+
+test('octave-aware tunings drive layout and MIDI', () => {
+  const dropD = INSTRUMENTS['Guitar'].tunings['Drop D'];
+  assert.equal(generateFretboardLayout(dropD, 13)[5][2], 'E');
+  assert.equal(computeStringFretMidi(dropD, 5, 0), 38);
+  const sevenString = INSTRUMENTS['Guitar'].tunings['7-String'];
+  assert.equal(generateFretboardLayout(sevenString, 13).length, 7);
+  assert.equal(computeStringFretMidi(sevenString, 6, 0), 35);
+});
+
+test('tunings resolve per instrument and fall back to the default', () => {
+  assert.equal(resolveTuning('Bass', 'Nope', {}).length, 4);
+  assert.equal(resolveTuning('Bass', 'Mine', { Bass: { Mine: ['C2', 'G1'] } })[1], 'G1');
+});
+
+test('long necks: inlays repeat per octave, range follows the last fret', () => {
+  assert.equal(getFretMarker(15), 'single');
+  assert.equal(getFretMarker(21), 'single');
+  assert.equal(getFretMarker(24), 'double');
+  assert.equal(getFretMarker(13), null);
+  assert.equal(fitFretRange([0, 12], 12, 24)[1], 24);
+  assert.deepEqual(fitFretRange([3, 20], 24, 12), [3, 12]);
+  assert.equal(getFretOptions('Ukulele').slice(-1)[0], 18);
+  assert.equal(clampFretCount('Ukulele', 24), 18);
+});
+
+test('P5 above low E targets every B2', () => {
+  const targets = findIntervalTargets({ stringIndex: 5, fretIndex: 0, intervalKey: 'P5', intervalTarget: 'above', fretRange: [0, 12], fretboardLayout: board, tuning: std });
+  assert.ok(targets.includes('5-7') && targets.includes('4-2'));
+  assert.ok(targets.every(k => {
+    const [si, fi] = k.split('-').map(Number);
+    return computeStringFretMidi(std, si, fi) === 47;
+  }));
+});
+
+test('A2 lives at open A and low E fret 5', () => {
+  assert.equal(findExactPitchFrets(45, [0, 12], board, std).join(), '4-0,5-5');
+});
+
+test('frets are described by string number from the top', () => {
+  assert.equal(describeFret(2, 5), 'string 3, fret 5');
+  assert.equal(describeFret(0, 0), 'string 1, open');
+});
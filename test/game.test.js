@@ -0,0 +1,128 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  initialState, gameReducer, INTERVAL_QUESTIONS, EAR_QUESTIONS, RHYTHM_QUESTIONS, RHYTHM_RAMP_EVERY, RHYTHM_RAMP_STEP,
+  summarizeRhythmResults, GAME_MODE_REGISTRY,
+} from '../src/engine/index.js';
+import { fb, std, board } from './fixtures.js';
+
+const start = (payload) => gameReducer(initialState, { type: 'START_GAME', payload: { isPractice: false, fretRange: [0, 12], fretboardLayout: board, tuning: std, ...payload } });
+
+test('the timer adds delta seconds while a game runs', () => {
+  const st = gameReducer({ ...initialState, gameStarted: true }, { type: 'TICK_TIMER_DELTA', payload: 1.0 });
+  assert.ok(Math.abs(st.timer - 1) < 1e-6);
+  assert.equal(gameReducer(st, { type: 'STOP_GAME' }).gameStarted, false);
+});
+
+test('the timer holds before the game starts and in practice mode', () => {
+  assert.equal(gameReducer({ ...initialState, gameStarted: false }, { type: 'TICK_TIMER_DELTA', payload: 0.5 }).timer, 0);
+  assert.equal(gameReducer({ ...initialState, gameStarted: true, isPracticeMode: true }, { type: 'TICK_TIMER_DELTA', payload: 1 }).timer, 0);
+});
+
+test('REVEAL_FRET stores a note and HIDE_REVEAL removes it', () => {
+  let st = gameReducer(initialState, { type: 'REVEAL_FRET', payload: { fretKey: '0-0', note: 'E' } });
+  assert.equal(st.revealedFrets['0-0'], 'E');
+  st = gameReducer(st, { type: 'HIDE_REVEAL', payload: { fretKey: '0-0' } });
+  assert.ok(!('0-0' in st.revealedFrets));
+});
+
+test('flats spelling builds a flat-only Note Cycle queue', () => {
+  const round = start({ gameMode: 'findNote', fretRange: [0, 3], rootNote: 'C', scaleType: 'Major', isWholeNotesMode: false, noteSpelling: 'flats', fretboardLayout: fb, tuning: undefined });
+  assert.ok(round.noteQueue.every(n => !n.includes('#')));
+});
+
+test('interval drill: START_GAME builds questions and ADVANCE_NOTE moves through them', () => {
+  const round = start({ gameMode: 'intervalDrill', intervalKeys: ['P5'], intervalTarget: 'above' });
+  assert.ok(round.gameStarted && round.referenceFret);
+  assert.equal(round.noteQueue.length, INTERVAL_QUESTIONS);
+  assert.equal(round.requiredFinds, 1);
+  const next = gameReducer(round, { type: 'ADVANCE_NOTE' });
+  assert.equal(next.noteQueueIndex, 1);
+  assert.equal(next.targetFrets, round.noteQueue[1].targetFrets);
+});
+
+test('chord drill maps notes to their degrees', () => {
+  const round = start({ gameMode: 'chordDrill', rootNote: 'B', chordType: 'm7b5', chordProgression: 'single' });
+  assert.equal(round.currentNote, 'Bm7b5');
+  assert.equal(round.chordDegrees['F'], 'b5');
+  assert.equal(round.noteQueue.length, 1);
+});
+
+test('a seed fixes the questions of every mode, adaptive rounds included', () => {
+  const noteWeights = { C: 5, D: 1, E: 1, F: 1, G: 1, A: 1, B: 1 };
+  const fretWeights = { '5-8': 5, '4-3': 1 };
+  Object.keys(GAME_MODE_REGISTRY).forEach(gameMode => {
+    const round = (weights) => start({ gameMode, seed: 1234, ...weights });
+    assert.deepEqual(round().noteQueue, round().noteQueue, gameMode);
+    assert.deepEqual(round({ noteWeights, fretWeights }).noteQueue, round({ noteWeights, fretWeights }).noteQueue, `adaptive ${gameMode}`);
+  });
+});
+
+test('Name That Note lights one fret per distinct note', () => {
+  const round = start({ gameMode: 'nameNote', isWholeNotesMode: true });
+  assert.equal(round.noteQueue.length, 7);
+  assert.equal(round.referenceFret, round.noteQueue[0].fretKey);
+  assert.equal(round.requiredFinds, 1);
+});
+
+test('ear training builds an unnamed queue of exact pitches', () => {
+  const round = start({ gameMode: 'earTraining', earDifficulty: 'hard' });
+  assert.equal(round.noteQueue.length, EAR_QUESTIONS);
+  assert.ok(round.targetFrets.length > 0);
+  assert.equal(round.currentNote, '');
+});
+
+test('scale runs take notes in order, repeats included, and count wrong ones as misses', () => {
+  // A minor pentatonic box 1 in 3rds: A C / C D / D E ... so frets come round again
+  let run = start({ gameMode: 'scaleDrill', rootNote: 'A', scaleType: 'Minor Pentatonic', scalePosition: 'pentatonic-1', scaleRun: 'thirds' });
+  assert.equal(run.currentNote, 'A');
+  assert.deepEqual(run.targetFrets, ['5-5']);
+  assert.equal(run.totalNotesInRound, 2 * (12 - 2));
+  run = gameReducer(run, { type: 'CORRECT_GUESS', payload: { clickedFretKey: '5-5' } });
+  assert.equal(run.currentNote, 'D');
+  run = gameReducer(run, { type: 'INCORRECT_GUESS', payload: { missedFret: { fretKey: '5-5', note: 'A' } } });
+  assert.equal(run.score.misses, 1);
+  run = gameReducer(run, { type: 'END_REVIEW' });
+  run = gameReducer(run, { type: 'CORRECT_GUESS', payload: { clickedFretKey: '4-5' } });
+  assert.equal(run.currentNote, 'C');
+  assert.deepEqual(run.targetFrets, ['5-8']);
+  run = gameReducer(run, { type: 'CORRECT_GUESS', payload: { clickedFretKey: '5-8' } });
+  run = gameReducer(run, { type: 'CORRECT_GUESS', payload: { clickedFretKey: '4-7' } });
+  // The C comes round again and still counts
+  run = gameReducer(run, { type: 'CORRECT_GUESS', payload: { clickedFretKey: '5-8' } });
+  assert.equal(run.score.hits, 5);
+  assert.equal(run.scaleRun.index, 5);
+});
+
+test('rhythm drill spells accidentals both ways when spelling is mixed', () => {
+  const accidentals = start({ gameMode: 'rhythmDrill', noteSpelling: 'mixed', seed: 5 }).noteQueue.filter(note => note.length > 1);
+  assert.ok(accidentals.some(note => note.endsWith('#')));
+  assert.ok(accidentals.some(note => note.endsWith('b')));
+});
+
+test('rhythm drill: beats close each window, late notes are misses, clean runs ramp the tempo', () => {
+  let rh = start({ gameMode: 'rhythmDrill', isWholeNotesMode: true, rhythmBpm: 100, rhythmBeats: 2, isRhythmRampOn: true });
+  assert.ok(rh.gameStarted);
+  assert.equal(rh.rhythm.beatsLeft, 2);
+  assert.equal(rh.noteQueue.length, RHYTHM_QUESTIONS);
+  rh = gameReducer(rh, { type: 'RHYTHM_BEAT' });
+  rh = gameReducer(rh, { type: 'RHYTHM_BEAT' });
+  assert.equal(rh.noteQueueIndex, 1);
+  assert.equal(rh.rhythm.results[0].hit, false, 'an unanswered window is a miss');
+  for (let i = 0; i < RHYTHM_RAMP_EVERY; i++) {
+    rh = gameReducer(rh, { type: 'RHYTHM_ANSWER', payload: { isCorrect: true, offsetMs: 20 } });
+    rh = gameReducer(rh, { type: 'RHYTHM_ANSWER', payload: { isCorrect: false, offsetMs: 0 } });
+    rh = gameReducer(rh, { type: 'RHYTHM_BEAT' });
+  }
+  assert.equal(rh.rhythm.bpm, 100 + RHYTHM_RAMP_STEP);
+  assert.ok(rh.rhythm.results.slice(1).every(r => r.hit), 'only the first answer in a window counts');
+  const summary = summarizeRhythmResults([...rh.rhythm.results, { hit: true, offsetMs: 200, bpm: 100 }]);
+  assert.equal(summary.hits, 5);
+  // A hit before the first beat has no offset: it still counts, untimed
+  const early = summarizeRhythmResults([{ hit: true, offsetMs: null, bpm: 100 }]);
+  assert.equal(early.hits, 1);
+  assert.equal(early.onBeat, 0);
+  assert.equal(early.meanOffsetMs, null);
+  assert.equal(summary.onBeat, 4);
+  assert.equal(summary.misses, 1);
+});
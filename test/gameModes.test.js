@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { initialState, gameReducer, GAME_MODE_REGISTRY, getGameMode, registerGameMode, resolveModeOptions } from '../src/engine/index.js';
+import { fb, std, board } from './fixtures.js';
+
+const setup = (mode, payload) => ({ ...resolveModeOptions(mode, { fretRange: [0, 12], fretboardLayout: board, tuning: std, isPractice: false, ...payload }), random: Math.random });
+const boardContext = { fretRange: [0, 12], fretboardLayout: board };
+
+test('every built-in mode declares the same pieces', () => {
+  assert.deepEqual(Object.keys(GAME_MODE_REGISTRY), ['findNote', 'scaleDrill', 'intervalDrill', 'chordDrill', 'nameNote', 'earTraining', 'rhythmDrill']);
+  Object.values(GAME_MODE_REGISTRY).forEach(mode => {
+    assert.equal(typeof mode.label, 'string', mode.id);
+    assert.equal(typeof mode.start, 'function', mode.id);
+    assert.equal(typeof mode.isCorrect, 'function', mode.id);
+    assert.equal(typeof mode.isQuestionComplete, 'function', mode.id);
+    assert.ok(Array.isArray(mode.controls), mode.id);
+  });
+});
+
+test('options fill in defaults for missing payload fields', () => {
+  const options = resolveModeOptions(getGameMode('chordDrill'), { rootNote: 'D', chordType: undefined });
+  assert.equal(options.rootNote, 'D');
+  assert.equal(options.chordType, 'maj7');
+  assert.equal(options.chordProgression, 'single');
+});
+
+test('Note Cycle: any fret of the target pitch class counts, and every one must be found', () => {
+  const mode = getGameMode('findNote');
+  const round = mode.start(setup(mode, { fretRange: [0, 12], fretboardLayout: fb }));
+  const state = { ...initialState, ...round };
+  const [note] = state.notesToFind;
+  const fret = fb[0].indexOf(note);
+  assert.ok(mode.isCorrect(state, { fretKey: `0-${fret}`, note }));
+  assert.ok(!mode.isCorrect(state, { fretKey: '0-99', note: note === 'C' ? 'D' : 'C' }));
+  const context = { fretRange: [0, 12], fretboardLayout: fb };
+  assert.ok(!mode.isQuestionComplete(state, context));
+  const allFound = { ...state, foundFrets: fb[0].map((n, f) => (n === note ? `0-${f}` : null)).filter(Boolean) };
+  assert.ok(mode.isQuestionComplete(allFound, context));
+  assert.deepEqual(mode.completeQuestion(allFound), { type: 'ADVANCE_NOTE' });
+});
+
+test('Scale Drill ends the round once the scale is found', () => {
+  const mode = getGameMode('scaleDrill');
+  const round = mode.start(setup(mode, { rootNote: 'G', scaleType: 'Major' }));
+  assert.equal(round.notesToFind.join(), 'G,A,B,C,D,E,F#');
+  assert.deepEqual(mode.completeQuestion({ ...initialState, ...round, timer: 12 }), { type: 'GAME_OVER', payload: { finalTime: 12 } });
+  const exotic = mode.start(setup(mode, { rootNote: 'A', scaleType: 'Hirajoshi' }));
+  assert.equal(exotic.notesToFind.join(), 'A,B,C,E,F');
+  const saved = mode.start(setup(mode, { rootNote: 'D', scaleType: 'Mine', customScales: { Mine: [0, 4, 7, 10] } }));
+  assert.equal(saved.notesToFind.join(), 'D,F#,A,C');
+});
+
+test('Scale Drill can be limited to one position', () => {
+  const mode = getGameMode('scaleDrill');
+  const round = mode.start(setup(mode, { rootNote: 'A', scaleType: 'Minor Pentatonic', scalePosition: 'pentatonic-1' }));
+  assert.equal(round.positionShape.label, 'Box 1');
+  assert.equal(round.targetFrets.length, 12);
+  const state = { ...initialState, ...round };
+  assert.ok(mode.isCorrect(state, { fretKey: '5-5', note: 'A' }));
+  assert.ok(!mode.isCorrect(state, { fretKey: '5-0', note: 'E' }));
+  assert.ok(mode.isQuestionComplete({ ...state, foundFrets: round.targetFrets }, boardContext));
+  assert.match(mode.start(setup(mode, { scalePosition: 'caged-1', fretRange: [0, 1] })).error, /doesn't fit/);
+  // A position the scale doesn't have falls back to the whole range
+  assert.equal(mode.start(setup(mode, { scaleType: 'Whole Tone', scalePosition: 'caged-1' })).targetFrets, undefined);
+});
+
+test('target-fret modes only accept their frets and finish on the required count', () => {
+  ['intervalDrill', 'earTraining'].forEach(id => {
+    const mode = getGameMode(id);
+    const state = { ...initialState, ...mode.start(setup(mode, {})) };
+    const [target] = state.targetFrets;
+    assert.ok(mode.isCorrect(state, { fretKey: target, note: 'X' }), id);
+    assert.ok(!mode.isCorrect(state, { fretKey: '9-99', note: state.notesToFind[0] }), id);
+    assert.ok(!mode.isQuestionComplete(state, boardContext), id);
+    assert.ok(mode.isQuestionComplete({ ...state, foundFrets: state.targetFrets.slice(0, state.requiredFinds) }, boardContext), id);
+  });
+});
+
+test('Chord Tones skips a chord with nothing in range', () => {
+  const mode = getGameMode('chordDrill');
+  assert.ok(mode.isQuestionComplete({ ...initialState, notesToFind: ['C'], foundFrets: [] }, { fretRange: [1, 3], fretboardLayout: [['B', 'C#', 'D', 'D#']] }));
+});
+
+test('Name That Note is answered by name, not by fret', () => {
+  const mode = getGameMode('nameNote');
+  assert.equal(mode.answersWith, 'name');
+  const state = { ...initialState, ...mode.start(setup(mode, { isWholeNotesMode: true })) };
+  const [note] = state.notesToFind;
+  assert.ok(mode.isCorrect(state, { fretKey: state.referenceFret, note }));
+  assert.ok(!mode.isCorrect(state, { fretKey: state.referenceFret, note: note === 'C' ? 'D' : 'C' }));
+});
+
+test('Rhythm questions only move on with the beat', () => {
+  const mode = getGameMode('rhythmDrill');
+  const state = { ...initialState, ...mode.start(setup(mode, {})) };
+  assert.ok(!mode.reviewsMistakes);
+  assert.ok(!mode.isQuestionComplete({ ...state, foundFrets: ['0-0'] }, boardContext));
+  assert.deepEqual(Object.keys(mode.actions), ['RHYTHM_ANSWER', 'RHYTHM_BEAT']);
+});
+
+test('a registered mode runs through the reducer without touching it', () => {
+  registerGameMode('openStrings', {
+    label: 'Open Strings',
+    options: { rounds: 2 },
+    getQuestionState: (stringIndex) => ({ currentNote: board[stringIndex][0], notesToFind: [board[stringIndex][0]], targetFrets: [`${stringIndex}-0`], requiredFinds: 1 }),
+    start: ({ rounds }) => ({ noteQueue: [0, 5].slice(0, rounds), totalNotesInRound: rounds, currentNote: 'E', notesToFind: ['E'], targetFrets: ['0-0'], requiredFinds: 1 }),
+    isQuestionComplete: (state) => state.foundFrets.length >= state.requiredFinds,
+  });
+  try {
+    let st = gameReducer(initialState, { type: 'START_GAME', payload: { gameMode: 'openStrings', isPractice: false } });
+    assert.ok(st.gameStarted);
+    assert.equal(st.noteQueue.length, 2);
+    st = gameReducer(st, { type: 'CORRECT_GUESS', payload: { clickedFretKey: '0-0' } });
+    assert.ok(getGameMode('openStrings').isQuestionComplete(st, boardContext));
+    st = gameReducer(st, getGameMode('openStrings').completeQuestion(st));
+    assert.deepEqual(st.targetFrets, ['5-0']);
+    assert.equal(getGameMode('openStrings').menuLabel, 'Open Strings');
+  } finally {
+    delete GAME_MODE_REGISTRY.openStrings;
+  }
+});
+
+test('unknown modes do not start', () => {
+  const st = gameReducer(initialState, { type: 'START_GAME', payload: { gameMode: 'nope', isPractice: false } });
+  assert.ok(!st.gameStarted);
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeStringFretMidi, detectPitch, createNoteOnsetTracker, matchPitchToFret, parseMidiMessage, mapMidiGuitarNote, moveFretFocus } from '../src/engine/index.js';
+import { std, board } from './fixtures.js';
+
+const SAMPLE_RATE = 44100;
+const FRAME_SIZE = 4096;
+const synth = (freq, partials = [1]) => Float32Array.from({ length: FRAME_SIZE }, (_, i) =>
+  partials.reduce((acc, amp, h) => acc + amp * Math.sin(2 * Math.PI * freq * (h + 1) * i / SAMPLE_RATE), 0) * 0.3);
+
+test('detectPitch finds A2 from a sine', () => {
+  const a2 = detectPitch(synth(110), SAMPLE_RATE);
+  assert.equal(Math.round(a2.midi), 45);
+});
+
+test('detectPitch finds bass E1 from a harmonic-rich tone', () => {
+  const lowE = detectPitch(synth(41.2, [1, 0.6, 0.4, 0.3]), SAMPLE_RATE);
+  assert.equal(Math.round(lowE.midi), 28);
+});
+
+test('detectPitch ignores silence', () => {
+  assert.equal(detectPitch(new Float32Array(FRAME_SIZE), SAMPLE_RATE), null);
+});
+
+test('the onset tracker emits once per held note', () => {
+  const track = createNoteOnsetTracker({ stableFrames: 2 });
+  const onsets = [{ midi: 45.1 }, { midi: 44.9 }, { midi: 45 }, null, null, { midi: 45 }, { midi: 45 }].map(track);
+  assert.equal(onsets.filter(m => m != null).join(), '45,45');
+});
+
+test('octave-exact matching lands on a fret that sounds the pitch', () => {
+  const exact = matchPitchToFret({ midi: 45, notesToFind: ['A'], foundFrets: [], fretRange: [0, 12], fretboardLayout: board, tuning: std, isOctaveExact: true });
+  assert.ok(exact.isCorrect);
+  assert.equal(computeStringFretMidi(std, exact.stringIndex, exact.fretIndex), 45);
+  const wrongOctave = matchPitchToFret({ midi: 93, notesToFind: ['A'], foundFrets: [], fretRange: [0, 12], fretboardLayout: board, tuning: std, isOctaveExact: true });
+  assert.deepEqual(wrongOctave, { isCorrect: false });
+});
+
+test('parseMidiMessage reads note-ons and ignores note-offs', () => {
+  assert.equal(parseMidiMessage([0x92, 45, 100]).channel, 2);
+  assert.equal(parseMidiMessage([0x92, 45, 0]), null);
+  assert.equal(parseMidiMessage([0x80, 45, 64]), null);
+});
+
+test('channel-per-string MIDI maps onto frets', () => {
+  const midiFret = mapMidiGuitarNote({ channel: 5, note: 45 }, std, 12);
+  assert.equal(midiFret.stringIndex, 5);
+  assert.equal(midiFret.fretIndex, 5);
+  assert.equal(mapMidiGuitarNote({ channel: 0, note: 60 }, std, 12), null);
+});
+
+test('arrow keys walk the fretboard grid and stop at its edges', () => {
+  const neck = { stringCount: 6, fretCount: 12, fretRange: [3, 7] };
+  assert.deepEqual(moveFretFocus({ stringIndex: 0, fretIndex: 5 }, 'ArrowDown', neck), { stringIndex: 1, fretIndex: 5 });
+  assert.deepEqual(moveFretFocus({ stringIndex: 0, fretIndex: 5 }, 'ArrowUp', neck), { stringIndex: 0, fretIndex: 5 });
+  assert.deepEqual(moveFretFocus({ stringIndex: 5, fretIndex: 12 }, 'ArrowRight', neck), { stringIndex: 5, fretIndex: 12 });
+  assert.deepEqual(moveFretFocus({ stringIndex: 5, fretIndex: 0 }, 'ArrowLeft', neck), { stringIndex: 5, fretIndex: 0 });
+  assert.deepEqual(moveFretFocus({ stringIndex: 2, fretIndex: 10 }, 'Home', neck), { stringIndex: 2, fretIndex: 3 });
+  assert.deepEqual(moveFretFocus({ stringIndex: 2, fretIndex: 0 }, 'End', neck), { stringIndex: 2, fretIndex: 7 });
+  assert.equal(moveFretFocus({ stringIndex: 2, fretIndex: 0 }, 'Enter', neck), null);
+});
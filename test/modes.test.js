@@ -0,0 +1,44 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WHOLE_NOTES, INSTRUMENTS, midiToPitchClass, getChordSymbol, buildChordQueue, getEarPitchPool, getReferencePitch, buildRhythmQueue, buildScaleRun } from '../src/engine/index.js';
+import { std, board } from './fixtures.js';
+
+test('progressions build chord queues in the key', () => {
+  assert.equal(buildChordQueue('C', 'maj7', 'ii-V-I').map(c => getChordSymbol(c.rootNote, c.chordType)).join(), 'Dm7,G7,Cmaj7');
+  assert.equal(buildChordQueue('C', 'maj7', 'ii-V-i (minor)').map(c => getChordSymbol(c.rootNote, c.chordType)).join(), 'Dm7b5,G7,Cm7');
+});
+
+test('easy ear training keeps to naturals in the lowest octave of the low strings', () => {
+  const easyPool = getEarPitchPool({ difficulty: 'easy', fretRange: [0, 12], fretboardLayout: board, tuning: std });
+  assert.equal(easyPool[0], 40);
+  assert.ok(easyPool.every(m => m < 52 && WHOLE_NOTES.includes(midiToPitchClass(m))));
+});
+
+test('the reference A sits above the lowest open string', () => {
+  assert.equal(getReferencePitch(std), 'A2');
+  assert.equal(getReferencePitch(INSTRUMENTS['Bass'].tunings['Standard']), 'A1');
+});
+
+test('scale runs order the area\'s pitches by pattern', () => {
+  // C major on one C string, frets 0-5: C D E F
+  const frets = ['0-0', '0-2', '0-4', '0-5'];
+  const run = (pattern) => buildScaleRun({ frets, tuning: ['C4'], pattern, notesToFind: ['C', 'D', 'E', 'F'] }).map(step => step.note).join(' ');
+  assert.equal(run('ascending'), 'C D E F');
+  assert.equal(run('descending'), 'F E D C');
+  assert.equal(run('thirds'), 'C E D F');
+  assert.equal(run('fours'), 'C D E F');
+  // The same pitch on two strings is one step either fret answers
+  const [first] = buildScaleRun({ frets: ['1-5', '0-0'], tuning: ['E4', 'B3'], pattern: 'ascending', notesToFind: ['E'] });
+  assert.deepEqual(first.frets, ['1-5', '0-0']);
+});
+
+test('the rhythm queue never repeats a note back to back', () => {
+  const rhythmQueue = buildRhythmQueue({ fretRange: [0, 12], fretboardLayout: board, isWholeNotesMode: true, count: 20 });
+
+test('the rhythm queue keeps to frets that exist on each string', () => {
+  const queue = buildRhythmQueue({ fretRange: [10, 20], fretboardLayout: board, isWholeNotesMode: false, count: 50 });
+  assert.ok(queue.every(note => typeof note === 'string'));
+});
+  assert.equal(rhythmQueue.length, 20);
+  assert.ok(rhythmQueue.every((n, i) => WHOLE_NOTES.includes(n) && n !== rhythmQueue[i - 1]));
+});
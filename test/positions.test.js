@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SCALES, INSTRUMENTS, listScalePositions, getScalePosition } from '../src/engine/index.js';
+import { std } from './fixtures.js';
+
+// Frets per string, lowest string first: { 5: [7, 8, 10], ... }
+const fretsByString = (frets) => {
+  const strings = {};
+  frets.forEach(key => {
+    const [stringIndex, fretIndex] = key.split('-').map(Number);
+    (strings[stringIndex] = strings[stringIndex] || []).push(fretIndex);
+  });
+  return strings;
+};
+const position = (scaleType, rootNote, id, overrides = {}) => getScalePosition({
+  rootNote, scaleIntervals: SCALES[scaleType], tuning: std, fretRange: [0, 15], fretCount: 22, position: id, ...overrides,
+});
+
+test('scales offer the position systems that fit them', () => {
+  assert.deepEqual(listScalePositions(SCALES['Major']).map(p => p.id), [
+    'caged-1', 'caged-2', 'caged-3', 'caged-4', 'caged-5',
+    '3nps-1', '3nps-2', '3nps-3', '3nps-4', '3nps-5', '3nps-6', '3nps-7',
+  ]);
+  assert.deepEqual(listScalePositions(SCALES['Blues']).map(p => p.label), ['Box 1', 'Box 2', 'Box 3', 'Box 4', 'Box 5']);
+  assert.deepEqual(listScalePositions(SCALES['Whole Tone']), []);
+  assert.equal(position('Major', 'C', 'pentatonic-1'), null);
+  assert.equal(position('Major', 'C', 'caged-6'), null);
+});
+
+test('pentatonic boxes put two notes on each string', () => {
+  const box = position('Minor Pentatonic', 'A', 'pentatonic-1');
+  assert.equal(box.label, 'Box 1');
+  assert.deepEqual(fretsByString(box.frets), { 5: [5, 8], 4: [5, 7], 3: [5, 7], 2: [5, 7], 1: [5, 8], 0: [5, 8] });
+  assert.deepEqual(box.spans[2], [5, 7]);
+  // The blues box is the same shape with the flat fifths added
+  assert.deepEqual(fretsByString(position('Blues', 'A', 'pentatonic-1').frets)[4], [5, 6, 7]);
+});
+
+test('CAGED positions fill the scale in around a pentatonic box', () => {
+  assert.deepEqual(fretsByString(position('Major', 'C', 'caged-1').frets), {
+    5: [7, 8, 10], 4: [7, 8, 10], 3: [7, 9, 10], 2: [7, 9, 10], 1: [8, 10], 0: [7, 8, 10],
+  });
+});
+
+test('3-notes-per-string patterns climb the scale from their degree', () => {
+  const shape = position('Major', 'G', '3nps-1');
+  const strings = fretsByString(shape.frets);
+  assert.deepEqual(strings[5], [3, 5, 7]);
+  assert.deepEqual(strings[4], [3, 5, 7]);
+  Object.values(strings).forEach(frets => assert.equal(frets.length, 3));
+});
+
+test('a single string covers the fret range', () => {
+  const strings = listScalePositions(SCALES['Major'], 6).filter(p => p.id.startsWith('string-'));
+  assert.deepEqual(strings.map(p => p.label), ['String 1', 'String 2', 'String 3', 'String 4', 'String 5', 'String 6']);
+  const lowE = position('Major', 'C', 'string-6', { fretRange: [0, 12] });
+  assert.deepEqual(lowE.frets, ['5-0', '5-1', '5-3', '5-5', '5-7', '5-8', '5-10', '5-12']);
+  assert.deepEqual(lowE.spans, { 5: [0, 12] });
+  assert.equal(position('Major', 'C', 'string-7'), null);
+});
+
+test('positions follow the tuning and move into the fret range', () => {
+  const dropD = INSTRUMENTS['Guitar'].tunings['Drop D'];
+  // The tone below the A string's nut stays on the low D string
+  const dropBox = fretsByString(position('Minor Pentatonic', 'D', 'pentatonic-1', { tuning: dropD, fretRange: [0, 5] }).frets);
+  assert.deepEqual(dropBox[5], [0, 3, 5]);
+  assert.deepEqual(dropBox[4], [0, 3]);
+  assert.deepEqual(fretsByString(position('Minor Pentatonic', 'D', 'pentatonic-1', { tuning: dropD, fretRange: [10, 15] }).frets)[5], [12, 15]);
+  assert.deepEqual(position('Minor Pentatonic', 'A', 'pentatonic-1', { fretRange: [0, 3] }).frets, []);
+});
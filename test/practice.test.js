@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  MAX_GUESS_RECORDS, appendGuessRecords, median, getFretRegionLabel, summarizeGuesses, computeFretHeatmap,
+  computeRecallWeights, buildAdaptiveQueue,
+} from '../src/engine/index.js';
+import { sampleGuesses } from './fixtures.js';
+
+test('summarizeGuesses reports accuracy and median per note', () => {
+  const eRow = summarizeGuesses(sampleGuesses, r => r.targetNote).find(r => r.key === 'E');
+  assert.equal(eRow.attempts, 3);
+  assert.ok(Math.abs(eRow.accuracy - 2 / 3) < 1e-9);
+  assert.equal(eRow.medianMs, 1200);
+});
+
+test('median handles even and empty lists', () => {
+  assert.equal(median([1, 3, 2, 4]), 2.5);
+  assert.equal(median([]), null);
+});
+
+test('fret regions are labelled', () => {
+  assert.equal(getFretRegionLabel(0), 'Open–4');
+  assert.equal(getFretRegionLabel(12), '10–14');
+});
+
+test('history is capped', () => {
+  const full = new Array(MAX_GUESS_RECORDS).fill({});
+  assert.ok(appendGuessRecords(full, [{ last: true }]).slice(-1)[0].last);
+  assert.equal(appendGuessRecords(full, [{}]).length, MAX_GUESS_RECORDS);
+});
+
+test('heatmaps score each fret for accuracy and speed', () => {
+  const accuracyHeat = computeFretHeatmap(sampleGuesses, 'accuracy');
+  assert.equal(accuracyHeat['5-12'].score, 0);
+  assert.equal(accuracyHeat['2-0'].score, 1);
+  const speedHeat = computeFretHeatmap(sampleGuesses, 'speed');
+  assert.equal(speedHeat['2-0'].score, 1);
+  assert.equal(speedHeat['5-12'].score, 0.75);
+});
+
+test('adaptive queue: weak notes weigh more, every note still appears', () => {
+  const now = 1e12;
+  const history = [
+    { ts: now - 1000, targetNote: 'E', correct: true, responseMs: 700 },
+    { ts: now - 900, targetNote: 'E', correct: true, responseMs: 800 },
+    { ts: now - 800, targetNote: 'G#', correct: false, responseMs: 4000 },
+    { ts: now - 700, targetNote: 'G#', correct: false, responseMs: 4500 },
+  ];
+  const weights = computeRecallWeights(history, r => r.targetNote, ['E', 'G#', 'C'], now);
+  assert.ok(weights['G#'] > weights['C'] && weights['C'] > weights['E'], 'mistakes outweigh unseen notes, which outweigh known ones');
+  let seed = 1;
+  const random = () => { seed = (seed * 16807) % 2147483647; return seed / 2147483647; };
+  const adaptive = buildAdaptiveQueue(['E', 'G#', 'C', 'A'], weights, random);
+  assert.equal(adaptive.length, 6);
+  assert.ok(['E', 'G#', 'C', 'A'].every(n => adaptive.includes(n)));
+  assert.ok(adaptive.every((n, i) => i < 4 || n !== adaptive[i - 1]), 'repeats never come back to back');
+});
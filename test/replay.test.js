@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { REPLAY_FORMAT, REPLAY_VERSION, initialState, gameReducer, findAllNotePositions, getReplayState, getReplayDuration, parseReplay } from '../src/engine/index.js';
+import { std, board } from './fixtures.js';
+
+// A Note Cycle round over the whole neck: twelve possible targets, so only the seed keeps replays on the recorded one
+const start = { gameMode: 'findNote', fretRange: [0, 12], isWholeNotesMode: false, isPractice: false, fretboardLayout: board, tuning: std, seed: 99 };
+const live = gameReducer(initialState, { type: 'START_GAME', payload: start });
+const [firstFind] = findAllNotePositions([live.currentNote], [0, 12], board);
+const recording = {
+  format: REPLAY_FORMAT, version: REPLAY_VERSION, recordedAt: '2026-01-01T00:00:00.000Z', player: 'P', instrument: 'Guitar', gameMode: 'findNote',
+  actions: [
+    { t: 0, type: 'START_GAME', payload: start },
+    { t: 1500, type: 'CORRECT_GUESS', payload: { clickedFretKey: firstFind } },
+    { t: 2000, type: 'ADVANCE_NOTE' },
+  ],
+};
+
+test('replay shows the round before the first find, with the timer in between', () => {
+  const mid = getReplayState(recording, 1000);
+  assert.ok(mid.gameStarted);
+  assert.equal(mid.foundFrets.length, 0);
+  assert.ok(Math.abs(mid.timer - 1) < 1e-9);
+});
+
+test('every replay frame rebuilds the recorded round', () => {
+  [0, 500, 1000, 1499].forEach(elapsedMs => {
+    const frame = getReplayState(recording, elapsedMs);
+    assert.deepEqual(frame.noteQueue, live.noteQueue);
+    assert.equal(frame.currentNote, live.currentNote);
+  });
+});
+
+test('replay reaches the recorded result', () => {
+  const found = getReplayState(recording, 1500);
+  assert.deepEqual(found.foundFrets, [firstFind]);
+  const end = getReplayState(recording, getReplayDuration(recording));
+  assert.equal(end.noteQueueIndex, 1);
+  assert.equal(end.currentNote, live.noteQueue[1]);
+  assert.ok(Math.abs(end.timer - 2) < 1e-9);
+  assert.equal(end.score.hits, 1);
+});
+
+test('exported replays import again and foreign JSON is rejected', () => {
+  assert.equal(parseReplay(JSON.stringify(recording)).actions.length, 3);
+  assert.throws(() => parseReplay('{"format":"something-else"}'), { message: 'Not a FretBoarder replay.' });
+});
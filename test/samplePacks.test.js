@@ -0,0 +1,14 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { INSTRUMENTS } from '../src/engine/index.js';
+import { SAMPLE_PACKS } from '../src/samplePacks.js';
+
+test('every instrument has a sample pack ending in a synth fallback', () => {
+  assert.ok(Object.keys(INSTRUMENTS).every(name => SAMPLE_PACKS[name]));
+  assert.ok(Object.values(SAMPLE_PACKS).every(pack => pack.synth));
+});
+
+test('sample file names spell sharps with "s"', () => {
+  assert.equal(SAMPLE_PACKS.Bass.urls['C#2'], 'Cs2.mp3');
+  assert.equal(SAMPLE_PACKS.Bass.urls.E1, 'E1.mp3');
+});
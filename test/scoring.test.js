@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  initialState, gameReducer, EMPTY_SCORE, SCORE_HIT_POINTS, SCORE_MISS_PENALTY, SCORE_COMBO_STEP, SCORE_PAR_SECONDS,
+  SCORE_SPEED_BONUS_PER_SECOND, scoreHit, computeFinalScore,
+} from '../src/engine/index.js';
+import { fb } from './fixtures.js';
+
+test('hits, misses and splits are scored through the reducer', () => {
+  let sc = gameReducer(initialState, { type: 'START_GAME', payload: { gameMode: 'findNote', fretRange: [0, 0], isWholeNotesMode: false, isPractice: false, fretboardLayout: fb } });
+  sc = gameReducer(sc, { type: 'TICK_TIMER_DELTA', payload: 2 });
+  sc = gameReducer(sc, { type: 'INCORRECT_GUESS', payload: { missedFret: { fretKey: '0-3', note: 'D#' } } });
+  sc = gameReducer(sc, { type: 'END_REVIEW' });
+  sc = gameReducer(sc, { type: 'CORRECT_GUESS', payload: { clickedFretKey: '0-0' } });
+  sc = gameReducer(sc, { type: 'ADVANCE_NOTE' });
+  assert.ok(sc.isGameOver);
+  assert.equal(sc.score.hits, 1);
+  assert.equal(sc.score.misses, 1);
+  assert.equal(sc.score.points, SCORE_HIT_POINTS - SCORE_MISS_PENALTY);
+  assert.equal(sc.score.splits.length, 1);
+  const [split] = sc.score.splits;
+  assert.equal(split.label, 'C');
+  assert.equal(split.time, 2);
+  assert.equal(split.misses, 1);
+  assert.equal(sc.score.missedFrets[0].target, 'C');
+  assert.equal(sc.score.missedFrets[0].note, 'D#');
+});
+
+test('streaks add combo points', () => {
+  let combo = EMPTY_SCORE;
+  for (let i = 0; i < 3; i++) combo = scoreHit(combo);
+  assert.equal(combo.points, 3 * SCORE_HIT_POINTS + 3 * SCORE_COMBO_STEP);
+  assert.equal(combo.bestStreak, 3);
+});
+
+test('beating par earns a speed bonus', () => {
+  let combo = EMPTY_SCORE;
+  for (let i = 0; i < 3; i++) combo = scoreHit(combo);
+  const finalScore = computeFinalScore(combo, 4, 3);
+  assert.equal(finalScore.accuracy, 1);
+  assert.equal(finalScore.speedBonus, (3 * SCORE_PAR_SECONDS - 4) * SCORE_SPEED_BONUS_PER_SECOND);
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  SCALES, parsePitch, pitchToMidi, midiToPitch, toPitchClass, includesPitchClass, getNotesInScale, parseTypedNote,
+  transposePitch, transposeNote, spellInterval, getChordTones, SCALE_GROUPS, isValidScale, parseScalePattern, formatScaleSteps,
+  resolveScale,
+} from '../src/engine/index.js';
+
+test('pitchToMidi parses sharps, flats and rejects junk', () => {
+  assert.equal(pitchToMidi('E2'), 40);
+  assert.equal(pitchToMidi('Bb1'), 34);
+  assert.equal(pitchToMidi('X9'), null);
+  assert.deepEqual(parsePitch('C##4'), { midi: 62, pitchClass: 'D', octave: 4 });
+});
+
+test('midiToPitch round-trips', () => {
+  assert.equal(midiToPitch(40), 'E2');
+  assert.equal(midiToPitch(61), 'C#4');
+});
+
+test('transposePitch moves across octaves', () => {
+  assert.equal(transposePitch('E2', 5), 'A2');
+  assert.equal(transposePitch('B3', 1), 'C4');
+  assert.equal(transposePitch('C4', -13), 'B2');
+  assert.equal(transposePitch('nope', 2), null);
+});
+
+test('transposeNote spells the result with the given preference', () => {
+  assert.equal(transposeNote('Bb', 2, 'flats'), 'C');
+  assert.equal(transposeNote('A', 1, 'flats'), 'Bb');
+  assert.equal(transposeNote('A', 1), 'A#');
+  assert.equal(transposeNote('C', -1), 'B');
+});
+
+test('keys spell by letter', () => {
+  assert.equal(getNotesInScale('F', SCALES['Major']).join(), 'F,G,A,Bb,C,D,E');
+  assert.equal(getNotesInScale('Eb', SCALES['Major']).join(), 'Eb,F,G,Ab,Bb,C,D');
+  assert.equal(getNotesInScale('C', SCALES['Minor Pentatonic']).join(), 'C,Eb,F,G,Bb');
+  assert.equal(getNotesInScale('E', SCALES['Major Pentatonic']).join(), 'E,F#,G#,B,C#');
+});
+
+test('every scale is valid, grouped once, and modes are rotations of their parent', () => {
+  Object.entries(SCALES).forEach(([name, intervals]) => assert.ok(isValidScale(intervals), name));
+  assert.deepEqual(Object.values(SCALE_GROUPS).flat().sort(), Object.keys(SCALES).sort());
+  const rotate = (intervals, degree) => intervals.map((_, i) => (intervals[(degree + i) % intervals.length] - intervals[degree] + 12) % 12);
+  ['Diatonic modes', 'Harmonic minor', 'Melodic minor'].forEach(group => {
+    const [parent, ...modes] = SCALE_GROUPS[group];
+    modes.forEach((name, i) => assert.deepEqual(SCALES[name], rotate(SCALES[parent], i + 1), name));
+  });
+  assert.equal(getNotesInScale('C', SCALES['Altered']).join(), 'C,Db,Eb,Fb,Gb,Ab,Bb');
+});
+
+test('scale patterns read steps, degrees or semitones', () => {
+  const harmonicMinor = [0, 2, 3, 5, 7, 8, 11];
+  assert.deepEqual(parseScalePattern('W-H-W-W-H-3-H'), harmonicMinor);
+  assert.deepEqual(parseScalePattern('w h w w h 3 h'), harmonicMinor);
+  assert.deepEqual(parseScalePattern('1 2 b3 4 5 b6 7'), harmonicMinor);
+  assert.deepEqual(parseScalePattern('0, 2, 3, 5, 7, 8, 11'), harmonicMinor);
+  assert.equal(formatScaleSteps(harmonicMinor), 'W-H-W-W-H-3-H');
+  assert.equal(formatScaleSteps(SCALES['Major']), 'W-W-H-W-W-W-H');
+});
+
+test('scale patterns reject input that is not a scale', () => {
+  assert.throws(() => parseScalePattern('W-W-H-W-W-W'), /add up to 11/);
+  assert.throws(() => parseScalePattern('W-X-H'), /Unknown step "X"/);
+  assert.throws(() => parseScalePattern('1 3 2'), /rise from the root/);
+  assert.throws(() => parseScalePattern('1 b9'), /Unknown scale degree "b9"/);
+  assert.throws(() => parseScalePattern('2 3 4'), /start on the root/);
+  assert.throws(() => parseScalePattern('1 5'), /at least 3 notes/);
+  assert.throws(() => parseScalePattern(''), /Enter intervals/);
+});
+
+test('resolveScale finds custom scales and falls back to Major', () => {
+  const custom = { 'Bhairav': [0, 1, 4, 5, 7, 8, 11] };
+  assert.deepEqual(resolveScale('Bhairav', custom), custom['Bhairav']);
+  assert.deepEqual(resolveScale('Dorian', custom), SCALES['Dorian']);
+  assert.deepEqual(resolveScale('Gone'), SCALES['Major']);
+  assert.deepEqual(resolveScale('Broken', { Broken: [0, 5, 3] }), SCALES['Major']);
+});
+
+test('answers compare pitch classes whatever the spelling', () => {
+  assert.equal(toPitchClass('Bb'), 'A#');
+  assert.equal(toPitchClass('Cb'), 'B');
+  assert.equal(toPitchClass('E#'), 'F');
+  assert.ok(includesPitchClass(['Bb'], 'A#'));
+  assert.ok(!includesPitchClass(['Bb'], 'B'));
+});
+
+test('parseTypedNote reads letters with #/b', () => {
+  assert.equal(parseTypedNote('f#'), 'F#');
+  assert.equal(parseTypedNote('Bb'), 'A#');
+  assert.equal(parseTypedNote('e♭'), 'D#');
+  assert.equal(parseTypedNote('H'), null);
+});
+
+test('spellInterval spells by letter', () => {
+  assert.equal(spellInterval('G', 'm6'), 'Eb');
+  assert.equal(spellInterval('A#', 'M3'), 'C##');
+  assert.equal(spellInterval('E', 'P8'), 'E');
+});
+
+test('chord formulas spell their tones', () => {
+  assert.equal(getChordTones('B', 'm7b5').map(t => t.note).join(), 'B,D,F,A');
+  assert.equal(getChordTones('C', 'dim7').map(t => t.note).join(), 'C,Eb,Gb,Bbb');
+  assert.equal(getChordTones('G', '13').map(t => t.semitones).join(), '0,4,7,10,14,21');
+});
@@ -1,7 +1,43 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { createHash } from 'node:crypto'
+import { existsSync, readdirSync, readFileSync } from 'node:fs'
+import { fileURLToPath } from 'node:url'
+
+const root = fileURLToPath(new URL('.', import.meta.url))
+
+// Files under public/<dir>, as paths relative to public/ (e.g. samples/ukulele/A4.mp3)
+const listPublicFiles = (dir) => {
+  const path = `${root}public/${dir}`
+  if (!existsSync(path)) return []
+  return readdirSync(path, { recursive: true, withFileTypes: true })
+    .filter(entry => entry.isFile())
+    .map(entry => `${entry.parentPath || entry.path}/${entry.name}`.slice(`${root}public/`.length))
+}
+
+// Emits sw.js from src/serviceWorker.js with the built files, the manifest and any vendored samples
+// as its precache list. The cache version changes whenever that list does.
+const serviceWorker = () => ({
+  name: 'fretboarder-service-worker',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(_, bundle) {
+    const urls = [
+      './',
+      ...Object.keys(bundle).filter(file => !file.endsWith('.map')),
+      'manifest.webmanifest',
+      'icon.svg',
+      ...listPublicFiles('samples'),
+    ]
+    const version = createHash('sha256').update(urls.join('\n')).digest('hex').slice(0, 12)
+    const source = readFileSync(`${root}src/serviceWorker.js`, 'utf8')
+      .replace('__CACHE_VERSION__', JSON.stringify(version))
+      .replace('__PRECACHE_URLS__', JSON.stringify(urls, null, 2))
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+  },
+})
 
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   base: '/FretBoader/',
 })